@@ -17,7 +17,7 @@ class AdvancedSearch {
     search(criteria) {
         let results = [...this.books];
 
-        // Text search (title, author, ISBN)
+        // Text search (title, author, ISBN, copy barcodes and locations)
         if (criteria.text) {
             const searchTerm = criteria.text.toLowerCase();
             results = results.filter(book => {
@@ -25,9 +25,12 @@ class AdvancedSearch {
                 const authorMatch = book.author && book.author.toLowerCase().includes(searchTerm);
                 const isbnMatch = book.isbn && book.isbn.toLowerCase().includes(searchTerm);
                 const genreMatch = book.genre && book.genre.toLowerCase().includes(searchTerm);
-                const locationMatch = book.location && book.location.toLowerCase().includes(searchTerm);
+                const copyMatch = (book.copies || []).some(copy =>
+                    (copy.barcode && copy.barcode.toLowerCase().includes(searchTerm)) ||
+                    (copy.location && copy.location.toLowerCase().includes(searchTerm))
+                );
                 
-                return titleMatch || authorMatch || isbnMatch || genreMatch || locationMatch;
+                return titleMatch || authorMatch || isbnMatch || genreMatch || copyMatch;
             });
         }
 
@@ -36,9 +39,9 @@ class AdvancedSearch {
             results = results.filter(book => criteria.genres.includes(book.genre));
         }
 
-        // Status filter
+        // Status filter (a title matches if any of its copies has the status)
         if (criteria.statuses && criteria.statuses.length > 0) {
-            results = results.filter(book => criteria.statuses.includes(book.status));
+            results = results.filter(book => (book.copies || []).some(copy => criteria.statuses.includes(copy.status)));
         }
 
         // Publication year range
@@ -66,15 +69,9 @@ class AdvancedSearch {
         // Availability filter (based on borrowing system)
         if (criteria.availability !== undefined) {
             if (criteria.availability === 'available') {
-                results = results.filter(book => {
-                    const activeTransactions = this.borrowingSystem.getActiveTransactions(book.id);
-                    return book.status === 'Available' && activeTransactions.length === 0;
-                });
+                results = results.filter(book => Catalog.getAvailability(book).available > 0);
             } else if (criteria.availability === 'borrowed') {
-                results = results.filter(book => {
-                    const activeTransactions = this.borrowingSystem.getActiveTransactions(book.id);
-                    return book.status === 'Borrowed' || activeTransactions.length > 0;
-                });
+                results = results.filter(book => this.borrowingSystem.getActiveTransactions(book.id).length > 0);
             } else if (criteria.availability === 'overdue') {
                 results = results.filter(book => {
                     const activeTransactions = this.borrowingSystem.getActiveTransactions(book.id);
@@ -1,12 +1,55 @@
 /**
  * Audit Logging System
- * Tracks all user actions for accountability and security
+ * Tracks all user actions for accountability and security.
+ * Entries form a SHA-256 hash chain so edits or deletions can be detected.
  */
 
 class AuditLogger {
-    constructor() {
-        this.logs = JSON.parse(localStorage.getItem('auditLogs')) || [];
-        this.maxLogs = 1000; // Keep last 1000 logs
+    /**
+     * @param {AuthSystem} authSystem - Used to record the acting user and session (optional)
+     */
+    constructor(authSystem = null) {
+        this.authSystem = authSystem;
+        this.logs = LibraryStorage.get('auditLogs') || [];
+        this.archives = LibraryStorage.get('auditArchives') || [];
+
+        // Entries beyond these limits are moved to an archive rather than deleted
+        this.retentionPolicy = {
+            maxEntries: 1000,
+            maxAgeDays: 0, // 0 = no age limit
+            warningThreshold: 0.9, // Warn when the log reaches 90% of maxEntries
+            ...(LibraryStorage.get('auditRetentionPolicy') || {})
+        };
+        this.storageWarningBytes = 4 * 1024 * 1024; // localStorage quota is typically ~5MB
+
+        // Where the live chain starts and ends, kept apart from the entries so that stripping
+        // hashes, or cutting entries off either end, shows up as a broken chain
+        this.chain = LibraryStorage.get('auditChain');
+        if (!this.chain) {
+            this.enableChaining();
+        }
+    }
+
+    /**
+     * Turn on hash chaining, once. Logs written before chaining existed are sealed here;
+     * afterwards an entry without a hash is reported as broken, never sealed.
+     */
+    enableChaining() {
+        if (this.logs.length > 0 && !this.logs.some(log => log.hash)) {
+            this.sealLogs();
+        }
+
+        const first = this.logs[0];
+        const last = this.logs[this.logs.length - 1];
+        this.chain = {
+            enabled: true,
+            enabledAt: new Date().toISOString(),
+            genesisHash: first && !first.prevHash ? first.hash || null : null,
+            anchorHash: first ? first.prevHash || null : null,
+            headHash: last ? last.hash || null : null,
+            headEntryId: last ? last.id : null
+        };
+        this.saveChain();
     }
 
     /**
@@ -18,50 +61,495 @@ class AuditLogger {
      */
     log(action, entityType, entityId, details = {}) {
         const logEntry = {
-            id: Date.now().toString(),
+            id: this.createId(),
             timestamp: new Date().toISOString(),
             action: action,
             entityType: entityType,
             entityId: entityId,
             details: details,
+            ...this.getActor(),
             userAgent: navigator.userAgent,
-            url: window.location.href
+            url: window.location.href,
+            // Link to the recorded head rather than the last stored entry, so a truncated log stays broken
+            prevHash: this.chain.headHash
         };
+        logEntry.hash = this.computeHash(logEntry);
 
         this.logs.push(logEntry);
+        if (!this.chain.headHash && !this.chain.anchorHash) {
+            this.chain.genesisHash = logEntry.hash;
+        }
+        this.chain.headHash = logEntry.hash;
+        this.chain.headEntryId = logEntry.id;
+        this.saveChain();
 
-        // Keep only the last maxLogs entries
-        if (this.logs.length > this.maxLogs) {
-            this.logs = this.logs.slice(-this.maxLogs);
+        if (this.applyRetention()) {
+            this.saveLogs();
+        } else {
+            this.saveLogs([logEntry]);
         }
+    }
+
+    /**
+     * Create a unique ID: the current time plus random bits, so entries made in the same millisecond stay distinct
+     * @returns {string}
+     */
+    createId() {
+        const random = Array.from(crypto.getRandomValues(new Uint8Array(6)), byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${Date.now()}-${random}`;
+    }
+
+    /**
+     * Compute the hash of an entry over its content and the previous entry's hash
+     * @param {object} entry - Log entry (its own `hash` field is ignored)
+     * @returns {string} - Hex-encoded SHA-256 hash
+     */
+    computeHash(entry) {
+        const { hash, ...content } = entry;
+        // Round-trip through JSON so the hash matches what is stored and exported
+        return SHA256.hash(this.canonicalize(JSON.parse(JSON.stringify(content))));
+    }
 
+    /**
+     * Serialize a value as JSON with object keys sorted, so hashing is independent of key order
+     * @param {*} value - JSON-compatible value
+     * @returns {string}
+     */
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Link and hash every entry from scratch
+     * Only for logs written before chaining, when chaining is first enabled or when an Admin
+     * explicitly accepts an unchained backup.
+     */
+    sealLogs() {
+        let prevHash = null;
+        this.logs.forEach(log => {
+            log.prevHash = prevHash;
+            log.hash = this.computeHash(log);
+            prevHash = log.hash;
+        });
         this.saveLogs();
     }
 
     /**
-     * Save logs to localStorage
+     * Replace the live log with restored entries and take over their chain
+     * @param {array} logs - Entries, oldest first
+     * @param {object} head - Chain head recorded with the entries (optional)
+     * @param {boolean} seal - Re-chain entries that have no hashes (only after explicit confirmation)
+     */
+    restoreLogs(logs, head = null, seal = false) {
+        this.logs = logs;
+        if (seal) this.sealLogs();
+
+        const first = this.logs[0];
+        const last = this.logs[this.logs.length - 1];
+        const recorded = head && !seal ? head : {};
+        this.chain = {
+            ...this.chain,
+            restoredAt: new Date().toISOString(),
+            genesisHash: recorded.genesisHash !== undefined ? recorded.genesisHash : (first && !first.prevHash ? first.hash || null : null),
+            anchorHash: recorded.anchorHash !== undefined ? recorded.anchorHash : (first ? first.prevHash || null : null),
+            headHash: recorded.hash !== undefined ? recorded.hash : (last ? last.hash || null : null),
+            headEntryId: recorded.entryId !== undefined ? recorded.entryId : (last ? last.id : null)
+        };
+        this.saveLogs();
+        this.saveChain();
+    }
+
+    /**
+     * Get the recorded ends of the chain
+     * @returns {object} - {hash, entryId, timestamp, count, anchorHash, genesisHash}
+     */
+    getChainHead() {
+        const last = this.logs[this.logs.length - 1];
+        return {
+            hash: this.chain.headHash,
+            entryId: this.chain.headEntryId,
+            timestamp: last ? last.timestamp : null,
+            count: this.logs.length,
+            anchorHash: this.chain.anchorHash,
+            genesisHash: this.chain.genesisHash
+        };
+    }
+
+    /**
+     * Verify the hash chain. Every entry must carry a hash and link to its predecessor; the
+     * oldest entry must link to the recorded anchor (where archiving last cut the log) and the
+     * newest must match the recorded head.
+     * @param {array} logs - Entries to check, oldest first (default: the current log)
+     * @param {object} expectedHead - Chain head recorded with the entries (default: the live chain for the current log)
+     * @returns {object} - {valid: boolean, checked: number, brokenAt: number|null, entryId: string|null, reason: string|null}
+     */
+    verify(logs = this.logs, expectedHead = null) {
+        const head = expectedHead || (logs === this.logs ? this.getChainHead() : null);
+        const broken = (index, reason) => ({
+            valid: false,
+            checked: index,
+            brokenAt: index,
+            entryId: logs[index] ? logs[index].id : null,
+            reason: reason
+        });
+
+        if (head && head.anchorHash !== undefined && logs.length > 0 && logs[0].hash) {
+            if ((logs[0].prevHash || null) !== head.anchorHash) {
+                return broken(0, 'Oldest entry does not link to the recorded start of the log (entries were removed from the start)');
+            }
+            if (!head.anchorHash && head.genesisHash && logs[0].hash !== head.genesisHash) {
+                return broken(0, 'Oldest entry is not the first entry ever recorded (the log was replaced)');
+            }
+        }
+
+        for (let i = 0; i < logs.length; i++) {
+            const log = logs[i];
+            if (!log.hash) {
+                return broken(i, 'Entry has no hash');
+            }
+            if (i > 0 && log.prevHash !== logs[i - 1].hash) {
+                return broken(i, 'Entry does not link to the previous entry (an entry was removed or reordered)');
+            }
+            if (this.computeHash(log) !== log.hash) {
+                return broken(i, 'Entry content does not match its hash (the entry was modified)');
+            }
+        }
+
+        if (head && head.hash) {
+            const last = logs[logs.length - 1];
+            // A log archived in full ends exactly where its anchor is
+            if (last ? last.hash !== head.hash : head.anchorHash !== head.hash) {
+                return broken(Math.max(0, logs.length - 1), 'Newest entry does not match the recorded chain head (entries were removed from the end)');
+            }
+        }
+
+        return { valid: true, checked: logs.length, brokenAt: null, entryId: null, reason: null };
+    }
+
+    /**
+     * Get the user and session performing the current action
+     * @returns {object} - {userId, username, userRole, sessionId} (null fields when nobody is logged in)
+     */
+    getActor() {
+        const user = this.authSystem ? this.authSystem.getCurrentUser() : null;
+        return {
+            userId: user ? user.id : null,
+            username: user ? user.username : null,
+            userRole: user ? user.role : null,
+            sessionId: user ? this.authSystem.currentSessionId || null : null
+        };
+    }
+
+    /**
+     * Get a display label for the user behind a log entry
+     * @param {object} log - Log entry
+     * @returns {string} - "username (role)", or "unknown user" for entries without an actor
      */
-    saveLogs() {
+    getActorLabel(log) {
+        if (!log || !log.username) {
+            return 'unknown user';
+        }
+        return log.userRole ? `${log.username} (${log.userRole})` : log.username;
+    }
+
+    /**
+     * Save logs to storage
+     * @param {array} appended - Entries just added to the end, when nothing else changed (optional)
+     */
+    saveLogs(appended = null) {
         try {
-            localStorage.setItem('auditLogs', JSON.stringify(this.logs));
+            if (appended) {
+                LibraryStorage.append('auditLogs', appended);
+            } else {
+                LibraryStorage.set('auditLogs', this.logs);
+            }
         } catch (e) {
             console.error('Failed to save audit logs:', e);
-            // If storage is full, remove oldest logs
+            // If storage is full, archive the oldest half of the log
             if (e.name === 'QuotaExceededError') {
-                this.logs = this.logs.slice(-500);
-                localStorage.setItem('auditLogs', JSON.stringify(this.logs));
+                this.trimLogs(this.logs.length - Math.floor(this.logs.length / 2), 'storage-full');
+                LibraryStorage.set('auditLogs', this.logs);
             }
         }
     }
 
+    /**
+     * Save the chain markers
+     */
+    saveChain() {
+        LibraryStorage.set('auditChain', this.chain);
+    }
+
+    /**
+     * Archive the oldest entries and move the chain's anchor past them
+     * @param {number} count - Number of entries to move
+     * @param {string} reason - Reason recorded on the archive
+     * @returns {object} - Archive metadata
+     */
+    trimLogs(count, reason) {
+        const entries = this.logs.slice(0, count);
+        const archive = this.archiveEntries(entries, reason);
+        this.logs = this.logs.slice(count);
+        this.chain.anchorHash = entries[entries.length - 1].hash || null;
+        this.saveChain();
+        return archive;
+    }
+
+    /**
+     * Move entries that fall outside the retention policy into an archive
+     * @param {string} reason - Reason recorded on the archive (default: 'retention')
+     * @returns {object|null} - Archive metadata, or null if nothing was evicted
+     */
+    applyRetention(reason = 'retention') {
+        const { maxEntries, maxAgeDays } = this.retentionPolicy;
+        let evictCount = 0;
+
+        if (maxAgeDays > 0) {
+            const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+            while (evictCount < this.logs.length && new Date(this.logs[evictCount].timestamp).getTime() < cutoff) {
+                evictCount++;
+            }
+        }
+
+        if (this.logs.length - evictCount > maxEntries) {
+            // Evict in batches of 10% so each overflow doesn't create a one-entry archive
+            const batch = Math.max(1, Math.floor(maxEntries / 10));
+            evictCount = Math.max(evictCount, Math.min(this.logs.length, this.logs.length - maxEntries + batch - 1));
+        }
+
+        if (evictCount === 0) return null;
+
+        return this.trimLogs(evictCount, reason);
+    }
+
+    /**
+     * Store entries in a new archive. If the archive store is full, the archive is
+     * downloaded as a file instead so the entries are never silently lost.
+     * @param {array} entries - Entries to archive, oldest first
+     * @param {string} reason - Why the entries were archived (retention, manual, storage-full)
+     * @returns {object} - Archive metadata
+     */
+    archiveEntries(entries, reason) {
+        const archive = this.createArchive(entries, reason);
+
+        this.archives.push(archive);
+        if (!this.saveArchives()) {
+            this.archives.pop();
+            DataExporter.downloadFile(
+                this.serializeArchive(archive),
+                `audit-archive-${archive.createdAt.split('T')[0]}-${archive.id}.json`,
+                'application/json'
+            );
+            archive.downloaded = true;
+        }
+
+        return this.getArchiveSummary(archive);
+    }
+
+    /**
+     * Build an archive record for a run of entries
+     * @param {array} entries - Entries, oldest first
+     * @param {string} reason - Why the entries were archived
+     * @returns {object} - Archive with metadata and entries
+     */
+    createArchive(entries, reason) {
+        return {
+            id: this.createId(),
+            createdAt: new Date().toISOString(),
+            reason: reason,
+            imported: false,
+            count: entries.length,
+            from: entries.length > 0 ? entries[0].timestamp : null,
+            to: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+            firstPrevHash: entries.length > 0 ? entries[0].prevHash || null : null,
+            lastHash: entries.length > 0 ? entries[entries.length - 1].hash || null : null,
+            entries: entries
+        };
+    }
+
+    /**
+     * Save archives to storage
+     * @returns {boolean} - False if storage is full
+     */
+    saveArchives() {
+        try {
+            LibraryStorage.set('auditArchives', this.archives);
+            return true;
+        } catch (e) {
+            console.error('Failed to save audit archives:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get archive metadata without its entries
+     * @param {object} archive - Archive
+     * @returns {object}
+     */
+    getArchiveSummary(archive) {
+        const { entries, ...summary } = archive;
+        return summary;
+    }
+
+    /**
+     * List stored archives, newest first
+     * @returns {array} - Array of archive metadata
+     */
+    getArchives() {
+        return this.archives
+            .map(archive => this.getArchiveSummary(archive))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Serialize an archive for download
+     * @param {object} archive - Archive
+     * @returns {string} - JSON string
+     */
+    serializeArchive(archive) {
+        return JSON.stringify({ type: 'audit-archive', version: '1.0', ...archive }, null, 2);
+    }
+
+    /**
+     * Export a stored archive to JSON
+     * @param {string} archiveId - Archive ID
+     * @returns {string|null} - JSON string, or null if not found
+     */
+    exportArchive(archiveId) {
+        const archive = this.archives.find(a => a.id === archiveId);
+        return archive ? this.serializeArchive(archive) : null;
+    }
+
+    /**
+     * Delete a stored archive (e.g. after it has been downloaded)
+     * @param {string} archiveId - Archive ID
+     * @returns {object} - {success: boolean, error: string}
+     */
+    deleteArchive(archiveId) {
+        const index = this.archives.findIndex(a => a.id === archiveId);
+        if (index === -1) {
+            return { success: false, error: 'Archive not found' };
+        }
+        this.archives.splice(index, 1);
+        this.saveArchives();
+        return { success: true };
+    }
+
+    /**
+     * Import an archive file (or an audit log export) so an old period can be re-examined
+     * @param {string} jsonString - Archive or export JSON
+     * @returns {object} - {success: boolean, archive: object, verification: object, error: string}
+     */
+    importArchive(jsonString) {
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (e) {
+            return { success: false, error: 'Invalid archive file: ' + e.message };
+        }
+
+        const entries = Array.isArray(data) ? data : (data.entries || data.logs);
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return { success: false, error: 'Archive contains no audit entries' };
+        }
+        if (entries.some(entry => !entry.timestamp || !entry.action)) {
+            return { success: false, error: 'Archive contains invalid audit entries' };
+        }
+
+        const sorted = [...entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const expectedHead = data.chainHead || (data.lastHash ? { hash: data.lastHash, anchorHash: data.firstPrevHash || null } : null);
+        const verification = this.verify(sorted, expectedHead);
+
+        const archive = this.createArchive(sorted, 'import');
+        archive.imported = true;
+        archive.verified = verification.valid;
+
+        this.archives.push(archive);
+        if (!this.saveArchives()) {
+            this.archives.pop();
+            return { success: false, error: 'Not enough storage space to import this archive' };
+        }
+
+        return { success: true, archive: this.getArchiveSummary(archive), verification: verification };
+    }
+
+    /**
+     * Update the retention policy and apply it immediately
+     * @param {object} policy - {maxEntries, maxAgeDays}
+     * @returns {object} - {success: boolean, archive: object|null, error: string}
+     */
+    updateRetentionPolicy(policy) {
+        const maxEntries = parseInt(policy.maxEntries);
+        const maxAgeDays = parseInt(policy.maxAgeDays);
+
+        if (isNaN(maxEntries) || maxEntries < 100 || maxEntries > 50000) {
+            return { success: false, error: 'Maximum entries must be between 100 and 50000' };
+        }
+        if (isNaN(maxAgeDays) || maxAgeDays < 0 || maxAgeDays > 3650) {
+            return { success: false, error: 'Maximum age must be between 0 (no limit) and 3650 days' };
+        }
+
+        this.retentionPolicy = { ...this.retentionPolicy, maxEntries: maxEntries, maxAgeDays: maxAgeDays };
+        LibraryStorage.set('auditRetentionPolicy', this.retentionPolicy);
+
+        const archive = this.applyRetention();
+        this.saveLogs();
+        return { success: true, archive: archive };
+    }
+
+    /**
+     * Get log size and limit status
+     * @returns {object} - {count, maxEntries, storageBytes, archiveCount, archivedEntries, nearLimit, warnings}
+     */
+    getStatus() {
+        const storageBytes = LibraryStorage.size(['auditLogs', 'auditArchives']);
+        const warnings = [];
+
+        if (this.logs.length >= this.retentionPolicy.maxEntries * this.retentionPolicy.warningThreshold) {
+            warnings.push(`The audit log holds ${this.logs.length} of ${this.retentionPolicy.maxEntries} entries; older entries will be archived soon.`);
+        }
+        if (storageBytes >= this.storageWarningBytes) {
+            warnings.push(`Audit data is using ${(storageBytes / 1024 / 1024).toFixed(1)}MB of browser storage. Download and delete old archives to free space.`);
+        }
+
+        return {
+            count: this.logs.length,
+            maxEntries: this.retentionPolicy.maxEntries,
+            storageBytes: storageBytes,
+            archiveCount: this.archives.length,
+            archivedEntries: this.archives.reduce((sum, a) => sum + a.count, 0),
+            nearLimit: warnings.length > 0,
+            warnings: warnings
+        };
+    }
+
     /**
      * Get logs filtered by criteria
-     * @param {object} filters - Filter criteria
+     * @param {object} filters - Filter criteria (set includeArchived to also search archives)
      * @returns {array} - Filtered logs
      */
     getLogs(filters = {}) {
         let filtered = [...this.logs];
 
+        if (filters.includeArchived) {
+            // Imported archives may overlap the live log or each other
+            const keyOf = (entry) => entry.hash || `${entry.id}|${entry.timestamp}`;
+            const seen = new Set(filtered.map(keyOf));
+            this.archives.forEach(archive => {
+                archive.entries.forEach(entry => {
+                    if (seen.has(keyOf(entry))) return;
+                    seen.add(keyOf(entry));
+                    filtered.push({ ...entry, archiveId: archive.id });
+                });
+            });
+        }
+
         if (filters.action) {
             filtered = filtered.filter(log => log.action === filters.action);
         }
@@ -74,6 +562,18 @@ class AuditLogger {
             filtered = filtered.filter(log => log.entityId === filters.entityId);
         }
 
+        if (filters.userId) {
+            filtered = filtered.filter(log => log.userId === filters.userId);
+        }
+
+        if (filters.search) {
+            const term = filters.search.toLowerCase();
+            filtered = filtered.filter(log =>
+                [log.action, log.entityType, log.entityId, log.username, JSON.stringify(log.details || {})]
+                    .some(value => value && String(value).toLowerCase().includes(term))
+            );
+        }
+
         if (filters.startDate) {
             filtered = filtered.filter(log => new Date(log.timestamp) >= new Date(filters.startDate));
         }
@@ -86,23 +586,89 @@ class AuditLogger {
     }
 
     /**
-     * Export logs to JSON
-     * @returns {string} - JSON string of logs
+     * Get one page of filtered logs, newest first
+     * @param {object} filters - Filter criteria (see getLogs)
+     * @param {number} page - Page number, starting at 1
+     * @param {number} pageSize - Entries per page (default: 25)
+     * @returns {object} - {entries, total, page, pages}
+     */
+    getLogPage(filters = {}, page = 1, pageSize = 25) {
+        const logs = this.getLogs(filters);
+        const pages = Math.max(1, Math.ceil(logs.length / pageSize));
+        const current = Math.min(Math.max(1, page), pages);
+        return {
+            entries: logs.slice((current - 1) * pageSize, current * pageSize),
+            total: logs.length,
+            page: current,
+            pages: pages
+        };
+    }
+
+    /**
+     * Get the distinct values available for filtering
+     * @param {boolean} includeArchived - Include archived entries
+     * @returns {object} - {actions, entityTypes, users: [{userId, username}]}
+     */
+    getFilterOptions(includeArchived = false) {
+        const logs = this.getLogs({ includeArchived: includeArchived });
+        const users = {};
+        logs.forEach(log => {
+            if (log.userId && !users[log.userId]) users[log.userId] = log.username;
+        });
+        return {
+            actions: [...new Set(logs.map(log => log.action))].sort(),
+            entityTypes: [...new Set(logs.map(log => log.entityType))].sort(),
+            users: Object.keys(users).map(userId => ({ userId: userId, username: users[userId] }))
+                .sort((a, b) => a.username.localeCompare(b.username))
+        };
+    }
+
+    /**
+     * Get the field-level changes recorded on an UPDATE entry (details.old / details.new)
+     * @param {object} log - Log entry
+     * @returns {array} - Array of {field, oldValue, newValue} for fields that changed
+     */
+    getChanges(log) {
+        const details = log && log.details;
+        if (!details || !details.old || !details.new || typeof details.old !== 'object' || typeof details.new !== 'object') {
+            return [];
+        }
+
+        const fields = [...new Set([...Object.keys(details.old), ...Object.keys(details.new)])];
+        return fields
+            .filter(field => JSON.stringify(details.old[field]) !== JSON.stringify(details.new[field]))
+            .map(field => ({ field: field, oldValue: details.old[field], newValue: details.new[field] }));
+    }
+
+    /**
+     * Export logs to JSON, with the chain head so the file can be verified independently
+     * @returns {string} - JSON string of {exportedAt, chainHead, logs}
      */
     exportLogs() {
-        return JSON.stringify(this.logs, null, 2);
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            chainHead: this.getChainHead(),
+            logs: this.logs
+        }, null, 2);
     }
 
     /**
-     * Clear old logs (older than specified days)
+     * Archive old logs (older than specified days)
      * @param {number} days - Number of days to keep
+     * @returns {object|null} - Archive metadata, or null if nothing was old enough
      */
     clearOldLogs(days = 90) {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - days);
-        
-        this.logs = this.logs.filter(log => new Date(log.timestamp) >= cutoffDate);
+
+        // Entries are in time order, so the old ones are a run at the start
+        const oldCount = this.logs.findIndex(log => new Date(log.timestamp) >= cutoffDate);
+        const count = oldCount === -1 ? this.logs.length : oldCount;
+        if (count === 0) return null;
+
+        const archive = this.trimLogs(count, 'manual');
         this.saveLogs();
+        return archive;
     }
 }
 
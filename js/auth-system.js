@@ -5,44 +5,160 @@
 
 class AuthSystem {
     constructor() {
-        this.users = JSON.parse(localStorage.getItem('users')) || [];
+        this.users = LibraryStorage.get('users') || [];
         this.currentUser = JSON.parse(localStorage.getItem('currentUser')) || null;
         this.sessions = JSON.parse(localStorage.getItem('sessions')) || [];
+        this.currentSessionId = localStorage.getItem('currentSessionId');
+        this.lastLogoutReason = null;
+        this.lastLogoutUser = null;
+        this.pendingTwoFactor = null; // {userId, expires} between password and code steps
+        this.pendingEnrollmentSecret = null;
+        this.twoFactorChallengeDuration = 5 * 60 * 1000; // 5 minutes to enter the code
+        this.backupCodeCount = 10;
+        this.resetTokenDuration = 24 * 60 * 60 * 1000; // Admin-issued reset tokens expire after 24 hours
+        this.passwordPolicy = {
+            minLength: 8,
+            requireUppercase: true,
+            requireLowercase: true,
+            requireNumber: true,
+            requireSymbol: false,
+            disallowUsername: true,
+            blockCommon: true,
+            historyCount: 5, // Previous passwords that cannot be reused (0 = off)
+            maxAgeDays: 0, // Force a change after this many days (0 = never)
+            ...(LibraryStorage.get('passwordPolicy') || {})
+        };
+        this.sessionSettings = {
+            idleTimeout: 15 * 60 * 1000, // 15 minutes without activity
+            absoluteTimeout: 8 * 60 * 60 * 1000, // 8 hours after login
+            warningTime: 60 * 1000, // Countdown shown before logout
+            retentionDays: 30, // Ended sessions kept for this long
+            ...(LibraryStorage.get('sessionSettings') || {})
+        };
+        this.availablePermissions = [
+            'view', 'search', 'add', 'edit', 'delete', 'borrow', 'return',
+            'manage_borrowers', 'export', 'import', 'manage_users', 'view_audit'
+        ];
+        this.roles = this.loadRoles();
         this.maxLoginAttempts = 5;
         this.lockoutDuration = 15 * 60 * 1000; // 15 minutes in milliseconds
+        this.passwordAlgorithm = 'PBKDF2-SHA256';
+        this.passwordIterations = 310000;
+        this.saltLength = 16; // bytes
         
-        // Initialize with default admin user if no users exist
-        if (this.users.length === 0) {
-            this.createDefaultAdmin();
+        // Initialize with default admin user if no users exist.
+        // Hashing is asynchronous, so callers await `ready` before using the store.
+        this.ready = this.users.length === 0 ? this.createDefaultAdmin() : Promise.resolve();
+
+        // Drop a persisted login whose session has expired or been revoked
+        if (this.currentUser) {
+            const status = this.getSessionStatus();
+            if (!status.valid) {
+                this.lastLogoutReason = status.reason;
+                this.lastLogoutUser = { id: this.currentUser.id, username: this.currentUser.username };
+                this.logout(status.reason);
+            }
         }
     }
 
+    /**
+     * Default role definitions, used until an Admin edits the role matrix
+     * @returns {array} - Array of {name, level, permissions, requireTwoFactor, builtIn}
+     */
+    getDefaultRoles() {
+        return [
+            { name: 'Admin', level: 3, permissions: [...this.availablePermissions], requireTwoFactor: false, builtIn: true },
+            {
+                name: 'Librarian',
+                level: 2,
+                permissions: ['view', 'search', 'add', 'edit', 'delete', 'borrow', 'return', 'manage_borrowers', 'export', 'import', 'view_audit'],
+                requireTwoFactor: false,
+                builtIn: true
+            },
+            { name: 'Member', level: 1, permissions: ['view', 'search', 'borrow'], requireTwoFactor: false, builtIn: true }
+        ];
+    }
+
+    /**
+     * Load the stored role matrix, upgrading it when new permissions or built-in roles are introduced
+     * The Admin role always holds every permission, so anything missing from the stored Admin role
+     * did not exist when the matrix was saved. Those permissions are granted wherever the defaults
+     * grant them; permissions an Admin removed on purpose stay removed.
+     * @returns {array} - Role definitions
+     */
+    loadRoles() {
+        const stored = LibraryStorage.get('roles');
+        if (!stored) return this.getDefaultRoles();
+
+        const storedAdmin = stored.find(r => r.name === 'Admin');
+        const known = storedAdmin ? storedAdmin.permissions : [];
+        const added = this.availablePermissions.filter(p => !known.includes(p));
+        let upgraded = added.length > 0;
+
+        this.getDefaultRoles().forEach(defaults => {
+            const role = stored.find(r => r.name === defaults.name);
+            if (!role) {
+                stored.push(defaults);
+                upgraded = true;
+                return;
+            }
+            const grant = defaults.permissions.filter(p => added.includes(p) && !role.permissions.includes(p));
+            role.permissions.push(...grant);
+        });
+
+        if (upgraded) LibraryStorage.set('roles', stored);
+        return stored;
+    }
+
     /**
      * Create default admin user
+     * The bootstrap password is flagged so it must be changed on first login.
+     * @returns {Promise<void>}
      */
-    createDefaultAdmin() {
+    async createDefaultAdmin() {
         const defaultAdmin = {
             id: 'admin-001',
             username: 'admin',
             email: 'admin@library.com',
-            passwordHash: this.hashPassword('admin123'), // Default password
             role: 'Admin',
             fullName: 'System Administrator',
             createdAt: new Date().toISOString(),
             lastLogin: null,
-            isActive: true
+            isActive: true,
+            mustChangePassword: true
         };
+        await this.setPassword(defaultAdmin, 'admin123'); // Bootstrap password
         this.users.push(defaultAdmin);
         this.saveUsers();
     }
 
     /**
-     * Hash password (simple implementation - use bcrypt in production)
+     * Derive a password hash with PBKDF2 (WebCrypto)
      * @param {string} password - Plain text password
-     * @returns {string} - Hashed password
+     * @param {string} salt - Hex-encoded salt
+     * @param {number} iterations - PBKDF2 iteration count
+     * @returns {Promise<string>} - Hex-encoded derived key
      */
-    hashPassword(password) {
-        // Simple hash function - in production, use bcrypt or similar
+    async hashPassword(password, salt, iterations = this.passwordIterations) {
+        const encoder = new TextEncoder();
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.hexToBytes(salt), iterations: iterations },
+            keyMaterial,
+            256
+        );
+        return this.bytesToHex(new Uint8Array(bits));
+    }
+
+    /**
+     * Legacy 32-bit hash used before PBKDF2 was introduced.
+     * Only kept to verify (and then upgrade) old stored hashes.
+     * @param {string} password - Plain text password
+     * @returns {string} - Legacy hash
+     */
+    legacyHashPassword(password) {
         let hash = 0;
         for (let i = 0; i < password.length; i++) {
             const char = password.charCodeAt(i);
@@ -52,19 +168,130 @@ class AuthSystem {
         return Math.abs(hash).toString(36) + password.length.toString();
     }
 
+    /**
+     * Generate a random hex-encoded salt
+     * @returns {string}
+     */
+    generateSalt() {
+        return this.bytesToHex(crypto.getRandomValues(new Uint8Array(this.saltLength)));
+    }
+
+    /**
+     * Store a new password hash (with a fresh salt) on a user record
+     * @param {object} user - User record (mutated)
+     * @param {string} password - Plain text password
+     * @returns {Promise<void>}
+     */
+    async setPassword(user, password) {
+        const salt = this.generateSalt();
+        user.passwordSalt = salt;
+        user.passwordIterations = this.passwordIterations;
+        user.passwordAlgorithm = this.passwordAlgorithm;
+        user.passwordHash = await this.hashPassword(password, salt, this.passwordIterations);
+    }
+
+    /**
+     * Verify a password against a user's stored hash.
+     * Records without `passwordAlgorithm` use the legacy hash.
+     * @param {object} user - User record
+     * @param {string} password - Plain text password
+     * @returns {Promise<boolean>}
+     */
+    async verifyPassword(user, password) {
+        if (!user.passwordAlgorithm) {
+            return this.safeEqual(user.passwordHash || '', this.legacyHashPassword(password));
+        }
+        if (user.passwordAlgorithm !== this.passwordAlgorithm) {
+            return false;
+        }
+        const hash = await this.hashPassword(password, user.passwordSalt, user.passwordIterations);
+        return this.safeEqual(user.passwordHash, hash);
+    }
+
+    /**
+     * Check whether a stored hash should be re-derived with current parameters
+     * @param {object} user - User record
+     * @returns {boolean}
+     */
+    needsRehash(user) {
+        return user.passwordAlgorithm !== this.passwordAlgorithm ||
+            user.passwordIterations !== this.passwordIterations;
+    }
+
+    /**
+     * Compare two strings without short-circuiting on the first difference
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {string} hex
+     * @returns {Uint8Array}
+     */
+    hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Copy of a user record without password material
+     * @param {object} user - User record
+     * @returns {object}
+     */
+    toPublicUser(user) {
+        const {
+            passwordHash, passwordSalt, passwordIterations, passwordAlgorithm,
+            totpSecret, totpBackupCodes, totpLastUsedStep,
+            resetTokenHash, resetTokenExpires, passwordHistory,
+            ...publicUser
+        } = user;
+        return publicUser;
+    }
+
+    /**
+     * SHA-256 digest of a string
+     * @param {string} value
+     * @returns {Promise<string>} - Hex digest
+     */
+    async sha256(value) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+        return this.bytesToHex(new Uint8Array(digest));
+    }
+
     /**
      * Register a new user
      * @param {object} userData - User registration data
-     * @returns {object} - {success: boolean, user: object, error: string}
+     * @returns {Promise<object>} - {success: boolean, user: object, error: string}
      */
-    register(userData) {
+    async register(userData) {
         // Validate input
         if (!userData.username || userData.username.trim().length < 3) {
             return { success: false, error: 'Username must be at least 3 characters' };
         }
 
-        if (!userData.password || userData.password.length < 6) {
-            return { success: false, error: 'Password must be at least 6 characters' };
+        const passwordCheck = this.validatePassword(userData.password, userData.username);
+        if (!passwordCheck.valid) {
+            return { success: false, error: passwordCheck.errors.join(', ') };
         }
 
         if (!userData.email || !this.validateEmail(userData.email)) {
@@ -81,9 +308,8 @@ class AuthSystem {
             return { success: false, error: 'Email already exists' };
         }
 
-        // Validate role (only Admin can create Admin users)
-        const allowedRoles = ['Librarian', 'Member'];
-        if (!allowedRoles.includes(userData.role)) {
+        // Validate role (Admin users are only created by promoting an existing user)
+        if (userData.role === 'Admin' || !this.getRole(userData.role) || !this.canAssignRole(userData.role)) {
             userData.role = 'Member'; // Default to Member
         }
 
@@ -91,31 +317,34 @@ class AuthSystem {
             id: 'user-' + Date.now().toString(),
             username: Validator.sanitize(userData.username),
             email: Validator.sanitize(userData.email),
-            passwordHash: this.hashPassword(userData.password),
             role: userData.role || 'Member',
             fullName: userData.fullName ? Validator.sanitize(userData.fullName) : '',
             createdAt: new Date().toISOString(),
             lastLogin: null,
-            isActive: true
+            isActive: true,
+            passwordChangedAt: new Date().toISOString()
         };
+        await this.setPassword(user, userData.password);
 
         this.users.push(user);
         this.saveUsers();
 
-        return { success: true, user: { ...user, passwordHash: undefined } };
+        return { success: true, user: this.toPublicUser(user) };
     }
 
     /**
      * Login user
      * @param {string} username - Username
      * @param {string} password - Password
-     * @returns {object} - {success: boolean, user: object, error: string}
+     * @returns {Promise<object>} - {success: boolean, user: object, error: string, twoFactorRequired: boolean, locked: boolean, lockedOut: boolean}
      */
-    login(username, password) {
+    async login(username, password) {
+        await this.ready;
+
         // Check for account lockout
         const lockout = this.checkLockout(username);
         if (lockout.locked) {
-            return { success: false, error: `Account locked. Try again in ${Math.ceil(lockout.remaining / 60000)} minutes` };
+            return { success: false, locked: true, error: `Account locked. Try again in ${Math.ceil(lockout.remaining / 60000)} minutes` };
         }
 
         const user = this.users.find(u => 
@@ -123,36 +352,308 @@ class AuthSystem {
         );
 
         if (!user) {
-            this.recordFailedAttempt(username);
-            return { success: false, error: 'Invalid username or password' };
+            const attempt = this.recordFailedAttempt(username);
+            return { success: false, lockedOut: attempt.locked, attempts: attempt.attempts, error: 'Invalid username or password' };
+        }
+
+        const passwordValid = await this.verifyPassword(user, password);
+        const resetTokenValid = !passwordValid && await this.verifyResetToken(user, password);
+        if (!passwordValid && !resetTokenValid) {
+            const attempt = this.recordFailedAttempt(username);
+            return { success: false, lockedOut: attempt.locked, attempts: attempt.attempts, error: 'Invalid username or password' };
+        }
+
+        if (resetTokenValid) {
+            // The token only lets the user in once, to choose a new password
+            delete user.resetTokenHash;
+            delete user.resetTokenExpires;
+            user.resetTokenRedeemedAt = new Date().toISOString();
+            user.mustChangePassword = true;
+            this.saveUsers();
+        } else {
+            // Signing in with the password means the reset was not needed
+            delete user.resetTokenRedeemedAt;
+            if (this.needsRehash(user)) {
+                // Transparently upgrade legacy or outdated hashes
+                await this.setPassword(user, password);
+            }
+            this.saveUsers();
+        }
+
+        if (this.isPasswordExpired(user)) {
+            user.mustChangePassword = true;
+            this.saveUsers();
+        }
+
+        // Second step required before the session is created
+        if (user.totpEnabled) {
+            this.pendingTwoFactor = { userId: user.id, expires: Date.now() + this.twoFactorChallengeDuration };
+            return { success: false, twoFactorRequired: true };
         }
 
-        const passwordHash = this.hashPassword(password);
-        if (user.passwordHash !== passwordHash) {
-            this.recordFailedAttempt(username);
+        return this.completeLogin(user);
+    }
+
+    /**
+     * Complete the second login step with an authenticator or backup code
+     * @param {string} code - 6-digit TOTP code or backup code
+     * @returns {Promise<object>} - {success: boolean, user: object, error: string, usedBackupCode: boolean}
+     */
+    async verifyTwoFactor(code) {
+        const pending = this.pendingTwoFactor;
+        if (!pending || Date.now() > pending.expires) {
+            this.pendingTwoFactor = null;
+            return { success: false, error: 'Verification expired. Please log in again' };
+        }
+
+        const user = this.users.find(u => u.id === pending.userId && u.isActive);
+        if (!user) {
+            this.pendingTwoFactor = null;
             return { success: false, error: 'Invalid username or password' };
         }
 
-        // Successful login
+        const lockout = this.checkLockout(user.username);
+        if (lockout.locked) {
+            this.pendingTwoFactor = null;
+            return { success: false, locked: true, username: user.username, error: `Account locked. Try again in ${Math.ceil(lockout.remaining / 60000)} minutes` };
+        }
+
+        let usedBackupCode = false;
+        const step = await TOTP.verify(user.totpSecret, code);
+        if (step !== null && step > (user.totpLastUsedStep || 0)) {
+            user.totpLastUsedStep = step; // Reject replay of the same code
+        } else {
+            const hash = await this.sha256(String(code || '').trim().toLowerCase());
+            const index = (user.totpBackupCodes || []).indexOf(hash);
+            if (index === -1) {
+                const attempt = this.recordFailedAttempt(user.username);
+                return {
+                    success: false,
+                    username: user.username,
+                    lockedOut: attempt.locked,
+                    attempts: attempt.attempts,
+                    error: 'Invalid verification code'
+                };
+            }
+            user.totpBackupCodes.splice(index, 1);
+            usedBackupCode = true;
+        }
+
+        this.pendingTwoFactor = null;
+        const result = this.completeLogin(user);
+        result.usedBackupCode = usedBackupCode;
+        result.remainingBackupCodes = user.totpBackupCodes.length;
+        return result;
+    }
+
+    /**
+     * Finish a successful login and open a session
+     * @param {object} user - User record
+     * @returns {object} - {success: boolean, user: object}
+     */
+    completeLogin(user) {
         user.lastLogin = new Date().toISOString();
-        this.currentUser = { ...user, passwordHash: undefined };
+        this.currentUser = this.toPublicUser(user);
         this.saveUsers();
         this.saveCurrentUser();
-        this.clearFailedAttempts(username);
+        this.clearFailedAttempts(user.username);
         this.createSession(user.id);
+        this.pruneSessions();
 
         return { success: true, user: this.currentUser };
     }
 
+    /**
+     * Whether the current user's role requires 2FA they have not set up yet
+     * @returns {boolean}
+     */
+    needsTwoFactorEnrollment() {
+        if (!this.currentUser) return false;
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        const role = this.getRole(this.currentUser.role);
+        return !!(user && role && role.requireTwoFactor && !user.totpEnabled);
+    }
+
+    /**
+     * Start TOTP enrollment for the current user
+     * @returns {object} - {success: boolean, secret: string, uri: string, error: string}
+     */
+    beginTwoFactorEnrollment() {
+        if (!this.currentUser) {
+            return { success: false, error: 'Not authenticated' };
+        }
+
+        this.pendingEnrollmentSecret = TOTP.generateSecret();
+        return {
+            success: true,
+            secret: this.pendingEnrollmentSecret,
+            uri: TOTP.getProvisioningURI(this.pendingEnrollmentSecret, this.currentUser.username)
+        };
+    }
+
+    /**
+     * Confirm TOTP enrollment with a code from the authenticator app
+     * @param {string} code - 6-digit code
+     * @returns {Promise<object>} - {success: boolean, backupCodes: array, error: string}
+     */
+    async confirmTwoFactorEnrollment(code) {
+        if (!this.currentUser || !this.pendingEnrollmentSecret) {
+            return { success: false, error: 'No enrollment in progress' };
+        }
+
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        const step = await TOTP.verify(this.pendingEnrollmentSecret, code);
+        if (step === null) {
+            return { success: false, error: 'Invalid verification code' };
+        }
+
+        user.totpSecret = this.pendingEnrollmentSecret;
+        user.totpEnabled = true;
+        user.totpLastUsedStep = step;
+        const backupCodes = await this.generateBackupCodes(user);
+        this.pendingEnrollmentSecret = null;
+
+        this.currentUser = this.toPublicUser(user);
+        this.saveUsers();
+        this.saveCurrentUser();
+
+        return { success: true, backupCodes: backupCodes };
+    }
+
+    /**
+     * Replace a user's backup codes; only hashes are stored
+     * @param {object} user - User record (mutated)
+     * @returns {Promise<array>} - Plain backup codes, shown once
+     */
+    async generateBackupCodes(user) {
+        const codes = [];
+        for (let i = 0; i < this.backupCodeCount; i++) {
+            const hex = this.bytesToHex(crypto.getRandomValues(new Uint8Array(4)));
+            codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+        }
+        user.totpBackupCodes = await Promise.all(codes.map(code => this.sha256(code)));
+        return codes;
+    }
+
+    /**
+     * Regenerate backup codes for the current user
+     * @returns {Promise<object>} - {success: boolean, backupCodes: array, error: string}
+     */
+    async regenerateBackupCodes() {
+        const user = this.currentUser && this.users.find(u => u.id === this.currentUser.id);
+        if (!user || !user.totpEnabled) {
+            return { success: false, error: 'Two-factor authentication is not enabled' };
+        }
+
+        const backupCodes = await this.generateBackupCodes(user);
+        this.saveUsers();
+        return { success: true, backupCodes: backupCodes };
+    }
+
+    /**
+     * Turn off 2FA for the current user (not allowed if their role requires it)
+     * @param {string} password - Current password
+     * @returns {Promise<object>} - {success: boolean, error: string}
+     */
+    async disableTwoFactor(password) {
+        const user = this.currentUser && this.users.find(u => u.id === this.currentUser.id);
+        if (!user) {
+            return { success: false, error: 'Not authenticated' };
+        }
+
+        const role = this.getRole(user.role);
+        if (role && role.requireTwoFactor) {
+            return { success: false, error: 'Your role requires two-factor authentication' };
+        }
+
+        if (!(await this.verifyPassword(user, password))) {
+            return { success: false, error: 'Current password is incorrect' };
+        }
+
+        this.clearTwoFactor(user);
+        this.currentUser = this.toPublicUser(user);
+        this.saveUsers();
+        this.saveCurrentUser();
+        return { success: true };
+    }
+
+    /**
+     * Reset another user's second factor (requires manage_users)
+     * @param {string} userId - User ID
+     * @returns {object} - {success: boolean, error: string}
+     */
+    resetTwoFactor(userId) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const user = this.users.find(u => u.id === userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        // Removing the second factor from a more privileged account would open it to a password alone
+        if (!this.canAssignRole(user.role)) {
+            return { success: false, error: 'You can only manage users whose permissions you hold' };
+        }
+
+        this.clearTwoFactor(user);
+        this.saveUsers();
+        return { success: true };
+    }
+
+    /**
+     * Remove all 2FA data from a user record
+     * @param {object} user - User record (mutated)
+     */
+    clearTwoFactor(user) {
+        user.totpEnabled = false;
+        delete user.totpSecret;
+        delete user.totpBackupCodes;
+        delete user.totpLastUsedStep;
+    }
+
+    /**
+     * Require (or stop requiring) 2FA for a role (requires manage_users)
+     * @param {string} name - Role name
+     * @param {boolean} required
+     * @returns {object} - {success: boolean, error: string}
+     */
+    setRoleTwoFactorRequired(name, required) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const role = this.getRole(name);
+        if (!role) {
+            return { success: false, error: 'Role not found' };
+        }
+
+        if (!this.canAssignRole(name)) {
+            return { success: false, error: 'You can only edit roles whose permissions you hold' };
+        }
+
+        role.requireTwoFactor = !!required;
+        this.saveRoles();
+        return { success: true };
+    }
+
     /**
      * Logout current user
+     * @param {string} reason - Why the session ended (logout, idle, absolute, revoked, expired)
      */
-    logout() {
-        if (this.currentUser) {
-            this.endSession(this.currentUser.id);
+    logout(reason = 'logout') {
+        if (this.currentSessionId) {
+            this.endSession(this.currentSessionId, reason);
         }
         this.currentUser = null;
+        this.currentSessionId = null;
         localStorage.removeItem('currentUser');
+        localStorage.removeItem('currentSessionId');
     }
 
     /**
@@ -170,15 +671,12 @@ class AuthSystem {
      */
     hasRole(requiredRole) {
         if (!this.currentUser) return false;
-        
-        const roleHierarchy = {
-            'Member': 1,
-            'Librarian': 2,
-            'Admin': 3
-        };
 
-        const userLevel = roleHierarchy[this.currentUser.role] || 0;
-        const requiredLevel = roleHierarchy[requiredRole] || 0;
+        const userRole = this.getRole(this.currentUser.role);
+        const required = this.getRole(requiredRole);
+
+        const userLevel = userRole ? userRole.level : 0;
+        const requiredLevel = required ? required.level : 0;
 
         return userLevel >= requiredLevel;
     }
@@ -191,14 +689,126 @@ class AuthSystem {
     hasPermission(action) {
         if (!this.currentUser) return false;
 
-        const permissions = {
-            'Admin': ['all'],
-            'Librarian': ['view', 'add', 'edit', 'delete', 'borrow', 'return', 'manage_borrowers', 'export', 'import'],
-            'Member': ['view', 'search', 'borrow']
-        };
+        const role = this.getRole(this.currentUser.role);
+        return role ? role.permissions.includes(action) : false;
+    }
+
+    /**
+     * Get all role definitions
+     * @returns {array}
+     */
+    getRoles() {
+        return this.roles.map(r => ({ ...r, permissions: [...r.permissions] }));
+    }
+
+    /**
+     * Check whether the current user holds every permission of a role, and so may assign it
+     * @param {string} name - Role name
+     * @returns {boolean}
+     */
+    canAssignRole(name) {
+        const role = this.getRole(name);
+        if (!role) return false;
+        return role.permissions.every(permission => this.hasPermission(permission));
+    }
+
+    /**
+     * Get a role definition by name
+     * @param {string} name - Role name
+     * @returns {object|null}
+     */
+    getRole(name) {
+        return this.roles.find(r => r.name === name) || null;
+    }
+
+    /**
+     * Create or update a role (requires manage_users)
+     * @param {object} roleData - {name, level, permissions}
+     * @returns {object} - {success: boolean, role: object, error: string}
+     */
+    saveRole(roleData) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const name = roleData.name ? Validator.sanitize(roleData.name) : '';
+        if (name.length < 2) {
+            return { success: false, error: 'Role name must be at least 2 characters' };
+        }
+
+        const unknown = (roleData.permissions || []).filter(p => !this.availablePermissions.includes(p));
+        if (unknown.length > 0) {
+            return { success: false, error: `Unknown permission(s): ${unknown.join(', ')}` };
+        }
+
+        // Nobody can grant access they do not have themselves
+        const withheld = (roleData.permissions || []).filter(p => !this.hasPermission(p));
+        if (withheld.length > 0) {
+            return { success: false, error: `You cannot grant permission(s) you do not hold: ${withheld.join(', ')}` };
+        }
+
+        const level = parseInt(roleData.level) || 1;
+        if (level < 1 || level > 3) {
+            return { success: false, error: 'Access level must be between 1 and 3' };
+        }
+
+        let role = this.getRole(name);
+        if (role && role.name === 'Admin') {
+            // The Admin role always keeps every permission so the system cannot be locked out
+            return { success: false, error: 'The Admin role cannot be modified' };
+        }
+        if (role && !this.canAssignRole(role.name)) {
+            return { success: false, error: 'You can only edit roles whose permissions you hold' };
+        }
+
+        if (role) {
+            role.level = level;
+            role.permissions = [...new Set(roleData.permissions || [])];
+        } else {
+            role = {
+                name: name,
+                level: level,
+                permissions: [...new Set(roleData.permissions || [])],
+                requireTwoFactor: !!roleData.requireTwoFactor,
+                builtIn: false
+            };
+            this.roles.push(role);
+        }
+
+        this.saveRoles();
+        return { success: true, role: { ...role } };
+    }
+
+    /**
+     * Delete a custom role (requires manage_users)
+     * @param {string} name - Role name
+     * @returns {object} - {success: boolean, error: string}
+     */
+    deleteRole(name) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const role = this.getRole(name);
+        if (!role) {
+            return { success: false, error: 'Role not found' };
+        }
+
+        if (role.builtIn) {
+            return { success: false, error: 'Built-in roles cannot be deleted' };
+        }
+
+        if (!this.canAssignRole(name)) {
+            return { success: false, error: 'You can only edit roles whose permissions you hold' };
+        }
+
+        if (this.users.some(u => u.role === name)) {
+            return { success: false, error: 'Role is still assigned to one or more users' };
+        }
 
-        const userPermissions = permissions[this.currentUser.role] || [];
-        return userPermissions.includes('all') || userPermissions.includes(action);
+        this.roles = this.roles.filter(r => r.name !== name);
+        this.saveRoles();
+        return { success: true };
     }
 
     /**
@@ -210,24 +820,41 @@ class AuthSystem {
     }
 
     /**
-     * Get all users (Admin only)
+     * Get all users (requires manage_users)
      * @returns {array}
      */
     getAllUsers() {
-        if (!this.hasRole('Admin')) {
+        if (!this.hasPermission('manage_users')) {
             return [];
         }
-        return this.users.map(u => ({ ...u, passwordHash: undefined }));
+        return this.users.map(u => this.toPublicUser(u));
     }
 
     /**
-     * Update user role (Admin only)
+     * Minimal user directory for linking accounts to borrowers (requires manage_borrowers)
+     * @returns {array} - Array of {id, username, fullName, email, role}
+     */
+    getUserDirectory() {
+        if (!this.hasPermission('manage_borrowers')) {
+            return [];
+        }
+        return this.users.map(u => ({
+            id: u.id,
+            username: u.username,
+            fullName: u.fullName,
+            email: u.email,
+            role: u.role
+        }));
+    }
+
+    /**
+     * Update user role (requires manage_users)
      * @param {string} userId - User ID
      * @param {string} newRole - New role
-     * @returns {object} - {success: boolean, error: string}
+     * @returns {object} - {success: boolean, oldRole: string, error: string}
      */
     updateUserRole(userId, newRole) {
-        if (!this.hasRole('Admin')) {
+        if (!this.hasPermission('manage_users')) {
             return { success: false, error: 'Insufficient permissions' };
         }
 
@@ -236,24 +863,33 @@ class AuthSystem {
             return { success: false, error: 'User not found' };
         }
 
-        const validRoles = ['Admin', 'Librarian', 'Member'];
-        if (!validRoles.includes(newRole)) {
+        if (!this.getRole(newRole)) {
             return { success: false, error: 'Invalid role' };
         }
 
+        // Nobody can hand out, or take away, access they do not have themselves
+        if (!this.canAssignRole(newRole) || !this.canAssignRole(user.role)) {
+            return { success: false, error: 'You can only assign roles whose permissions you hold' };
+        }
+
+        if (newRole !== 'Admin' && this.isLastAdmin(user)) {
+            return { success: false, error: 'Cannot change the role of the last active Admin' };
+        }
+
+        const oldRole = user.role;
         user.role = newRole;
         this.saveUsers();
 
-        return { success: true };
+        return { success: true, oldRole: oldRole };
     }
 
     /**
      * Change password
      * @param {string} oldPassword - Current password
      * @param {string} newPassword - New password
-     * @returns {object} - {success: boolean, error: string}
+     * @returns {Promise<object>} - {success: boolean, error: string}
      */
-    changePassword(oldPassword, newPassword) {
+    async changePassword(oldPassword, newPassword) {
         if (!this.currentUser) {
             return { success: false, error: 'Not authenticated' };
         }
@@ -263,20 +899,310 @@ class AuthSystem {
             return { success: false, error: 'User not found' };
         }
 
-        if (user.passwordHash !== this.hashPassword(oldPassword)) {
+        // After signing in with a reset token the user has no current password to give
+        if (!user.resetTokenRedeemedAt && !(await this.verifyPassword(user, oldPassword))) {
             return { success: false, error: 'Current password is incorrect' };
         }
 
-        if (newPassword.length < 6) {
-            return { success: false, error: 'New password must be at least 6 characters' };
+        const passwordCheck = this.validatePassword(newPassword, user.username);
+        if (!passwordCheck.valid) {
+            return { success: false, error: passwordCheck.errors.join(', ') };
+        }
+
+        if ((!user.resetTokenRedeemedAt && newPassword === oldPassword) || await this.isPasswordReused(user, newPassword)) {
+            return {
+                success: false,
+                error: this.passwordPolicy.historyCount > 0
+                    ? `Password must not match any of your last ${this.passwordPolicy.historyCount} passwords`
+                    : 'New password must be different from the current password'
+            };
+        }
+
+        this.recordPasswordHistory(user);
+        await this.setPassword(user, newPassword);
+        user.passwordChangedAt = new Date().toISOString();
+        user.mustChangePassword = false;
+        delete user.resetTokenHash;
+        delete user.resetTokenExpires;
+        delete user.resetTokenRedeemedAt;
+        this.currentUser = this.toPublicUser(user);
+        this.saveUsers();
+        this.saveCurrentUser();
+
+        return { success: true };
+    }
+
+    /**
+     * Update a user's full name and email (self, or requires manage_users)
+     * @param {string} userId - User ID
+     * @param {object} profile - {fullName, email}
+     * @returns {object} - {success: boolean, user: object, error: string}
+     */
+    updateUserProfile(userId, profile) {
+        const isSelf = this.currentUser && this.currentUser.id === userId;
+        if (!isSelf && !this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const user = this.users.find(u => u.id === userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        if (!profile.email || !this.validateEmail(profile.email)) {
+            return { success: false, error: 'Valid email is required' };
+        }
+
+        if (this.users.find(u => u.id !== userId && u.email.toLowerCase() === profile.email.toLowerCase())) {
+            return { success: false, error: 'Email already exists' };
         }
 
-        user.passwordHash = this.hashPassword(newPassword);
+        user.email = Validator.sanitize(profile.email);
+        user.fullName = profile.fullName ? Validator.sanitize(profile.fullName) : '';
         this.saveUsers();
 
+        if (isSelf) {
+            this.currentUser = this.toPublicUser(user);
+            this.saveCurrentUser();
+        }
+
+        return { success: true, user: this.toPublicUser(user) };
+    }
+
+    /**
+     * Deactivate or reactivate an account (requires manage_users)
+     * Deactivating ends the user's open sessions.
+     * @param {string} userId - User ID
+     * @param {boolean} isActive - New state
+     * @returns {object} - {success: boolean, error: string}
+     */
+    setUserActive(userId, isActive) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const user = this.users.find(u => u.id === userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        // Only someone holding every permission of the target's role may act on their account
+        if (!this.canAssignRole(user.role)) {
+            return { success: false, error: 'You can only manage users whose permissions you hold' };
+        }
+
+        if (!isActive) {
+            if (this.currentUser && this.currentUser.id === userId) {
+                return { success: false, error: 'You cannot deactivate your own account' };
+            }
+            if (this.isLastAdmin(user)) {
+                return { success: false, error: 'Cannot deactivate the last active Admin' };
+            }
+        }
+
+        user.isActive = !!isActive;
+        this.saveUsers();
+
+        if (!isActive) {
+            this.endUserSessions(userId, 'revoked');
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Permanently delete an account (requires manage_users)
+     * @param {string} userId - User ID
+     * @returns {object} - {success: boolean, user: object, error: string}
+     */
+    deleteUser(userId) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const user = this.users.find(u => u.id === userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        if (this.currentUser && this.currentUser.id === userId) {
+            return { success: false, error: 'You cannot delete your own account' };
+        }
+
+        // Only someone holding every permission of the target's role may act on their account
+        if (!this.canAssignRole(user.role)) {
+            return { success: false, error: 'You can only manage users whose permissions you hold' };
+        }
+
+        if (this.isLastAdmin(user)) {
+            return { success: false, error: 'Cannot delete the last active Admin' };
+        }
+
+        this.users = this.users.filter(u => u.id !== userId);
+        this.saveUsers();
+        this.endUserSessions(userId, 'revoked');
+
+        return { success: true, user: this.toPublicUser(user) };
+    }
+
+    /**
+     * Check whether a user is the only active Admin
+     * @param {object} user - User record
+     * @returns {boolean}
+     */
+    isLastAdmin(user) {
+        if (user.role !== 'Admin' || !user.isActive) return false;
+        return this.users.filter(u => u.role === 'Admin' && u.isActive).length <= 1;
+    }
+
+    /**
+     * Issue a one-time password reset token (requires manage_users)
+     * The user signs in with the token and must choose a new password.
+     * @param {string} userId - User ID
+     * @returns {Promise<object>} - {success: boolean, token: string, expires: string, error: string}
+     */
+    async createPasswordResetToken(userId) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const user = this.users.find(u => u.id === userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        if (!this.canAssignRole(user.role)) {
+            return { success: false, error: 'You can only manage users whose permissions you hold' };
+        }
+
+        const token = TOTP.base32Encode(crypto.getRandomValues(new Uint8Array(10)));
+        delete user.resetTokenRedeemedAt;
+        user.resetTokenHash = await this.sha256(token);
+        user.resetTokenExpires = new Date(Date.now() + this.resetTokenDuration).toISOString();
+        user.mustChangePassword = true;
+        this.saveUsers();
+        this.clearFailedAttempts(user.username);
+
+        return { success: true, token: token, expires: user.resetTokenExpires };
+    }
+
+    /**
+     * Check a password reset token against a user's pending token
+     * @param {object} user - User record
+     * @param {string} token - Token entered by the user
+     * @returns {Promise<boolean>}
+     */
+    async verifyResetToken(user, token) {
+        if (!user.resetTokenHash || !token) return false;
+        if (new Date(user.resetTokenExpires) < new Date()) return false;
+        return this.safeEqual(user.resetTokenHash, await this.sha256(token.trim().toUpperCase()));
+    }
+
+    /**
+     * Validate a password against the current password policy
+     * @param {string} password - Candidate password
+     * @param {string} username - Username the password is for
+     * @returns {object} - {valid: boolean, errors: array}
+     */
+    validatePassword(password, username = '') {
+        return Validator.validatePassword(password, this.passwordPolicy, username);
+    }
+
+    /**
+     * Check a candidate password against the current and previous hashes
+     * @param {object} user - User record
+     * @param {string} password - Candidate password
+     * @returns {Promise<boolean>}
+     */
+    async isPasswordReused(user, password) {
+        if (await this.verifyPassword(user, password)) return true;
+
+        const count = this.passwordPolicy.historyCount;
+        const history = count > 0 ? (user.passwordHistory || []).slice(-count) : [];
+        for (const entry of history) {
+            if (await this.verifyPassword(entry, password)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Push the user's current hash onto their password history
+     * @param {object} user - User record (mutated)
+     */
+    recordPasswordHistory(user) {
+        if (!user.passwordHash) return;
+
+        const history = user.passwordHistory || [];
+        history.push({
+            passwordHash: user.passwordHash,
+            passwordSalt: user.passwordSalt,
+            passwordIterations: user.passwordIterations,
+            passwordAlgorithm: user.passwordAlgorithm
+        });
+        const count = this.passwordPolicy.historyCount;
+        user.passwordHistory = count > 0 ? history.slice(-count) : [];
+    }
+
+    /**
+     * Check whether a user's password is older than the maximum age
+     * @param {object} user - User record
+     * @returns {boolean}
+     */
+    isPasswordExpired(user) {
+        if (!this.passwordPolicy.maxAgeDays) return false;
+        const changedAt = new Date(user.passwordChangedAt || user.createdAt);
+        const ageDays = (Date.now() - changedAt.getTime()) / (1000 * 60 * 60 * 24);
+        return ageDays > this.passwordPolicy.maxAgeDays;
+    }
+
+    /**
+     * Update the password policy (requires manage_users)
+     * @param {object} policy - Partial policy
+     * @returns {object} - {success: boolean, error: string}
+     */
+    updatePasswordPolicy(policy) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const updated = { ...this.passwordPolicy, ...policy };
+        updated.minLength = parseInt(updated.minLength);
+        updated.historyCount = parseInt(updated.historyCount);
+        updated.maxAgeDays = parseInt(updated.maxAgeDays);
+
+        if (isNaN(updated.minLength) || updated.minLength < 6 || updated.minLength > 128) {
+            return { success: false, error: 'Minimum length must be between 6 and 128' };
+        }
+        if (isNaN(updated.historyCount) || updated.historyCount < 0 || updated.historyCount > 24) {
+            return { success: false, error: 'Password history must be between 0 and 24' };
+        }
+        if (isNaN(updated.maxAgeDays) || updated.maxAgeDays < 0) {
+            return { success: false, error: 'Maximum password age cannot be negative' };
+        }
+
+        this.passwordPolicy = updated;
+        LibraryStorage.set('passwordPolicy', this.passwordPolicy);
         return { success: true };
     }
 
+    /**
+     * Describe the current policy for form hints
+     * @returns {string}
+     */
+    describePasswordPolicy() {
+        const policy = this.passwordPolicy;
+        const rules = [`at least ${policy.minLength} characters`];
+        if (policy.requireUppercase) rules.push('an uppercase letter');
+        if (policy.requireLowercase) rules.push('a lowercase letter');
+        if (policy.requireNumber) rules.push('a number');
+        if (policy.requireSymbol) rules.push('a symbol');
+        let text = `Must contain ${rules.join(', ')}`;
+        if (policy.disallowUsername) text += '; must not contain the username';
+        return text;
+    }
+
     /**
      * Validate email format
      * @param {string} email - Email to validate
@@ -290,6 +1216,7 @@ class AuthSystem {
     /**
      * Record failed login attempt
      * @param {string} username - Username
+     * @returns {object} - {attempts: number, locked: boolean} recent attempt count and whether this attempt triggered a lockout
      */
     recordFailedAttempt(username) {
         const key = `failed_attempts_${username.toLowerCase()}`;
@@ -299,6 +1226,8 @@ class AuthSystem {
         // Keep only recent attempts (within lockout duration)
         const recentAttempts = attempts.filter(time => Date.now() - time < this.lockoutDuration);
         localStorage.setItem(key, JSON.stringify(recentAttempts));
+
+        return { attempts: recentAttempts.length, locked: recentAttempts.length >= this.maxLoginAttempts };
     }
 
     /**
@@ -332,6 +1261,7 @@ class AuthSystem {
     /**
      * Create session
      * @param {string} userId - User ID
+     * @returns {object} - Created session
      */
     createSession(userId) {
         const session = {
@@ -339,31 +1269,209 @@ class AuthSystem {
             userId: userId,
             startTime: new Date().toISOString(),
             lastActivity: new Date().toISOString(),
+            endTime: null,
+            endReason: null,
             ipAddress: null, // Would be set by server
             userAgent: navigator.userAgent
         };
 
+        this.reloadSessions();
         this.sessions.push(session);
+        this.currentSessionId = session.id;
+        localStorage.setItem('currentSessionId', session.id);
         this.saveSessions();
+
+        return session;
     }
 
     /**
      * End session
-     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Why the session ended
+     */
+    endSession(sessionId, reason = 'logout') {
+        this.reloadSessions();
+        const session = this.sessions.find(s => s.id === sessionId && !s.endTime);
+        if (session) {
+            session.endTime = new Date().toISOString();
+            session.endReason = reason;
+            this.saveSessions();
+        }
+    }
+
+    /**
+     * Get the current session record
+     * @returns {object|null}
+     */
+    getCurrentSession() {
+        if (!this.currentSessionId) return null;
+        return this.sessions.find(s => s.id === this.currentSessionId) || null;
+    }
+
+    /**
+     * Record user activity on the current session
      */
-    endSession(userId) {
-        const activeSession = this.sessions.find(s => s.userId === userId && !s.endTime);
-        if (activeSession) {
-            activeSession.endTime = new Date().toISOString();
+    touchSession() {
+        this.reloadSessions();
+        const session = this.getCurrentSession();
+        if (session && !session.endTime) {
+            session.lastActivity = new Date().toISOString();
             this.saveSessions();
         }
     }
 
     /**
-     * Save users to localStorage
+     * Check whether the current session is still usable.
+     * Sessions are re-read from storage so revocations from another tab apply.
+     * @returns {object} - {valid: boolean, reason: string, idleRemaining: number, absoluteRemaining: number}
+     */
+    getSessionStatus() {
+        this.reloadSessions();
+        const session = this.getCurrentSession();
+        if (!session) {
+            return { valid: false, reason: 'expired', idleRemaining: 0, absoluteRemaining: 0 };
+        }
+
+        if (session.endTime) {
+            return { valid: false, reason: session.endReason || 'expired', idleRemaining: 0, absoluteRemaining: 0 };
+        }
+
+        const now = Date.now();
+        const idleRemaining = this.sessionSettings.idleTimeout - (now - new Date(session.lastActivity).getTime());
+        const absoluteRemaining = this.sessionSettings.absoluteTimeout - (now - new Date(session.startTime).getTime());
+
+        if (absoluteRemaining <= 0) {
+            return { valid: false, reason: 'absolute', idleRemaining, absoluteRemaining };
+        }
+        if (idleRemaining <= 0) {
+            return { valid: false, reason: 'idle', idleRemaining, absoluteRemaining };
+        }
+
+        return { valid: true, reason: null, idleRemaining, absoluteRemaining };
+    }
+
+    /**
+     * Get open sessions, optionally for one user (requires manage_users)
+     * @param {string} userId - User ID (optional)
+     * @returns {array}
+     */
+    getOpenSessions(userId = null) {
+        if (!this.hasPermission('manage_users')) {
+            return [];
+        }
+
+        this.reloadSessions();
+        const now = Date.now();
+        return this.sessions.filter(s => {
+            if (s.endTime) return false;
+            if (userId && s.userId !== userId) return false;
+            const idle = now - new Date(s.lastActivity).getTime();
+            const age = now - new Date(s.startTime).getTime();
+            return idle < this.sessionSettings.idleTimeout && age < this.sessionSettings.absoluteTimeout;
+        });
+    }
+
+    /**
+     * Revoke a session (requires manage_users)
+     * @param {string} sessionId - Session ID
+     * @returns {object} - {success: boolean, error: string}
+     */
+    revokeSession(sessionId) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        this.reloadSessions();
+        const session = this.sessions.find(s => s.id === sessionId);
+        if (!session || session.endTime) {
+            return { success: false, error: 'Session not found or already ended' };
+        }
+
+        this.endSession(sessionId, 'revoked');
+        return { success: true };
+    }
+
+    /**
+     * End every open session belonging to a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Why the sessions ended
+     */
+    endUserSessions(userId, reason) {
+        this.reloadSessions();
+        this.sessions
+            .filter(s => s.userId === userId && !s.endTime)
+            .forEach(s => {
+                s.endTime = new Date().toISOString();
+                s.endReason = reason;
+            });
+        this.saveSessions();
+    }
+
+    /**
+     * Close sessions that timed out and drop ended sessions past the retention period
+     */
+    pruneSessions() {
+        this.reloadSessions();
+        const now = Date.now();
+        const retention = this.sessionSettings.retentionDays * 24 * 60 * 60 * 1000;
+
+        this.sessions.forEach(s => {
+            if (s.endTime) return;
+            if (now - new Date(s.lastActivity).getTime() >= this.sessionSettings.idleTimeout) {
+                s.endTime = new Date(new Date(s.lastActivity).getTime() + this.sessionSettings.idleTimeout).toISOString();
+                s.endReason = 'idle';
+            } else if (now - new Date(s.startTime).getTime() >= this.sessionSettings.absoluteTimeout) {
+                s.endTime = new Date(new Date(s.startTime).getTime() + this.sessionSettings.absoluteTimeout).toISOString();
+                s.endReason = 'absolute';
+            }
+        });
+
+        this.sessions = this.sessions.filter(s => !s.endTime || now - new Date(s.endTime).getTime() < retention);
+        this.saveSessions();
+    }
+
+    /**
+     * Update session timeouts (requires manage_users)
+     * @param {object} settings - {idleTimeout, absoluteTimeout, warningTime} in milliseconds
+     * @returns {object} - {success: boolean, error: string}
+     */
+    updateSessionSettings(settings) {
+        if (!this.hasPermission('manage_users')) {
+            return { success: false, error: 'Insufficient permissions' };
+        }
+
+        const minute = 60 * 1000;
+        const idleTimeout = parseInt(settings.idleTimeout) || this.sessionSettings.idleTimeout;
+        const absoluteTimeout = parseInt(settings.absoluteTimeout) || this.sessionSettings.absoluteTimeout;
+        const warningTime = parseInt(settings.warningTime) || this.sessionSettings.warningTime;
+
+        if (idleTimeout < minute) {
+            return { success: false, error: 'Idle timeout must be at least 1 minute' };
+        }
+        if (absoluteTimeout < idleTimeout) {
+            return { success: false, error: 'Absolute timeout must be at least the idle timeout' };
+        }
+        if (warningTime >= idleTimeout) {
+            return { success: false, error: 'Warning time must be shorter than the idle timeout' };
+        }
+
+        this.sessionSettings = { ...this.sessionSettings, idleTimeout, absoluteTimeout, warningTime };
+        LibraryStorage.set('sessionSettings', this.sessionSettings);
+        return { success: true };
+    }
+
+    /**
+     * Re-read sessions from localStorage
+     */
+    reloadSessions() {
+        this.sessions = JSON.parse(localStorage.getItem('sessions')) || [];
+    }
+
+    /**
+     * Save users to storage
      */
     saveUsers() {
-        localStorage.setItem('users', JSON.stringify(this.users));
+        LibraryStorage.set('users', this.users);
     }
 
     /**
@@ -373,6 +1481,13 @@ class AuthSystem {
         localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
     }
 
+    /**
+     * Save role definitions to storage
+     */
+    saveRoles() {
+        LibraryStorage.set('roles', this.roles);
+    }
+
     /**
      * Save sessions to localStorage
      */
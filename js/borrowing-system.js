@@ -1,118 +1,1249 @@
 /**
  * Borrowing Management System
- * Handles book checkout, return, and borrower management
+ * Handles book checkout, return, holds, and borrower management
  */
 
 class BorrowingSystem {
     constructor() {
-        this.borrowers = JSON.parse(localStorage.getItem('borrowers')) || [];
-        this.transactions = JSON.parse(localStorage.getItem('transactions')) || [];
-        this.defaultLoanDays = 14; // Default loan period in days
+        this.borrowers = LibraryStorage.get('borrowers') || [];
+        this.transactions = LibraryStorage.get('transactions') || [];
+        this.holds = LibraryStorage.get('holds') || [];
+
+        // Fines charged before the ledger existed are carried over once
+        const ledgerExists = LibraryStorage.has('fineLedger');
+        this.fineLedger = new FineLedger();
+        if (!ledgerExists) this.fineLedger.importTransactionFines(this.transactions);
+
+        this.circulationPolicy = new CirculationPolicy();
+        this.calendar = new LibraryCalendar();
+        this.borrowerCategories = ['Standard', 'Child', 'Student', 'Staff'];
+        this.loadSettings();
+
+        this.upgradeBorrowers();
+    }
+
+    /**
+     * Read borrowing settings from storage, using defaults for any not set
+     */
+    loadSettings() {
+        const settings = LibraryStorage.get('borrowingSettings') || {};
+        this.defaultLoanDays = settings.defaultLoanDays || 14; // Default loan period in days
+        this.dailyFine = settings.dailyFine !== undefined ? settings.dailyFine : 0.50; // Fine per overdue day
+        this.maxRenewals = settings.maxRenewals !== undefined ? settings.maxRenewals : 2; // Renewals allowed per loan
+        this.holdPickupDays = settings.holdPickupDays || 7; // Days a returned book waits on the hold shelf
+        this.maxActiveLoans = settings.maxActiveLoans || 5; // Default loan limit per borrower
+        this.maxOutstandingFines = settings.maxOutstandingFines !== undefined ? settings.maxOutstandingFines : 10.00; // Fines owed before borrowing is blocked
+        this.overdueBlockDays = settings.overdueBlockDays !== undefined ? settings.overdueBlockDays : 7; // Overdue days before borrowing is blocked
+        this.membershipMonths = settings.membershipMonths || 12; // Length of a membership term
+        this.defaultReplacementCost = settings.defaultReplacementCost !== undefined ? settings.defaultReplacementCost : 25.00; // Charged for a lost book with no price
+        this.lostProcessingFee = settings.lostProcessingFee !== undefined ? settings.lostProcessingFee : 5.00; // Added to every lost book charge
+        this.foundRefund = settings.foundRefund || 'replacement'; // Refunded when a lost book is found: 'all', 'replacement' or 'none'
+    }
+
+    /**
+     * Give borrowers registered before card numbers and memberships existed a card
+     * and a full membership term starting now
+     */
+    upgradeBorrowers() {
+        let changed = false;
+        this.borrowers.forEach(borrower => {
+            if (borrower.cardNumber) return;
+            borrower.cardNumber = this.nextCardNumber();
+            borrower.membershipStart = borrower.createdAt || new Date().toISOString();
+            borrower.membershipExpires = this.addMembershipTerm(new Date(), this.membershipMonths);
+            borrower.active = borrower.active !== false;
+            borrower.notes = borrower.notes || [];
+            changed = true;
+        });
+        if (changed) this.saveBorrowers();
+    }
+
+    /**
+     * Get borrowing settings
+     * @returns {object} - {defaultLoanDays, dailyFine, maxRenewals, holdPickupDays, maxActiveLoans, maxOutstandingFines, overdueBlockDays, membershipMonths,
+     *   defaultReplacementCost, lostProcessingFee, foundRefund}
+     */
+    getSettings() {
+        return {
+            defaultLoanDays: this.defaultLoanDays,
+            dailyFine: this.dailyFine,
+            maxRenewals: this.maxRenewals,
+            holdPickupDays: this.holdPickupDays,
+            maxActiveLoans: this.maxActiveLoans,
+            maxOutstandingFines: this.maxOutstandingFines,
+            overdueBlockDays: this.overdueBlockDays,
+            membershipMonths: this.membershipMonths,
+            defaultReplacementCost: this.defaultReplacementCost,
+            lostProcessingFee: this.lostProcessingFee,
+            foundRefund: this.foundRefund
+        };
+    }
+
+    /**
+     * Update borrowing settings
+     * @param {object} settings - {defaultLoanDays, dailyFine, maxRenewals, holdPickupDays, maxActiveLoans, maxOutstandingFines, overdueBlockDays, membershipMonths,
+     *   defaultReplacementCost, lostProcessingFee, foundRefund}
+     * @returns {object} - {success: boolean, settings: object, error: string}
+     */
+    updateSettings(settings) {
+        settings = { ...this.getSettings(), ...settings };
+        const defaultLoanDays = parseInt(settings.defaultLoanDays);
+        const dailyFine = parseFloat(settings.dailyFine);
+        const maxRenewals = parseInt(settings.maxRenewals);
+        const holdPickupDays = parseInt(settings.holdPickupDays);
+        const maxActiveLoans = parseInt(settings.maxActiveLoans);
+        const maxOutstandingFines = parseFloat(settings.maxOutstandingFines);
+        const overdueBlockDays = parseInt(settings.overdueBlockDays);
+        const membershipMonths = parseInt(settings.membershipMonths);
+        const defaultReplacementCost = parseFloat(settings.defaultReplacementCost);
+        const lostProcessingFee = parseFloat(settings.lostProcessingFee);
+
+        if (isNaN(defaultLoanDays) || defaultLoanDays < 1 || defaultLoanDays > 365) {
+            return { success: false, error: 'Loan period must be between 1 and 365 days' };
+        }
+        if (isNaN(dailyFine) || dailyFine < 0) {
+            return { success: false, error: 'Daily fine cannot be negative' };
+        }
+        if (isNaN(maxRenewals) || maxRenewals < 0 || maxRenewals > 20) {
+            return { success: false, error: 'Maximum renewals must be between 0 and 20' };
+        }
+        if (isNaN(holdPickupDays) || holdPickupDays < 1 || holdPickupDays > 60) {
+            return { success: false, error: 'Hold pickup period must be between 1 and 60 days' };
+        }
+        if (isNaN(maxActiveLoans) || maxActiveLoans < 1 || maxActiveLoans > 100) {
+            return { success: false, error: 'Loan limit must be between 1 and 100' };
+        }
+        if (isNaN(maxOutstandingFines) || maxOutstandingFines < 0) {
+            return { success: false, error: 'Fine threshold cannot be negative' };
+        }
+        if (isNaN(overdueBlockDays) || overdueBlockDays < 0 || overdueBlockDays > 365) {
+            return { success: false, error: 'Overdue block period must be between 0 and 365 days' };
+        }
+        if (isNaN(membershipMonths) || membershipMonths < 1 || membershipMonths > 120) {
+            return { success: false, error: 'Membership term must be between 1 and 120 months' };
+        }
+        if (isNaN(defaultReplacementCost) || defaultReplacementCost < 0) {
+            return { success: false, error: 'Replacement cost cannot be negative' };
+        }
+        if (isNaN(lostProcessingFee) || lostProcessingFee < 0) {
+            return { success: false, error: 'Processing fee cannot be negative' };
+        }
+        if (!['all', 'replacement', 'none'].includes(settings.foundRefund)) {
+            return { success: false, error: 'Invalid refund policy for found items' };
+        }
+
+        this.defaultLoanDays = defaultLoanDays;
+        this.dailyFine = dailyFine;
+        this.maxRenewals = maxRenewals;
+        this.holdPickupDays = holdPickupDays;
+        this.maxActiveLoans = maxActiveLoans;
+        this.maxOutstandingFines = maxOutstandingFines;
+        this.overdueBlockDays = overdueBlockDays;
+        this.membershipMonths = membershipMonths;
+        this.defaultReplacementCost = defaultReplacementCost;
+        this.lostProcessingFee = lostProcessingFee;
+        this.foundRefund = settings.foundRefund;
+        LibraryStorage.set('borrowingSettings', this.getSettings());
+
+        return { success: true, settings: this.getSettings() };
+    }
+
+    /**
+     * Register a new borrower
+     * @param {object} borrowerData - Borrower information
+     * @returns {object} - {success: boolean, borrower: object, error: string}
+     */
+    registerBorrower(borrowerData) {
+        // Validate borrower data
+        if (!borrowerData.name || borrowerData.name.trim().length === 0) {
+            return { success: false, error: 'Borrower name is required' };
+        }
+
+        // Check for duplicate email if provided
+        if (borrowerData.email) {
+            const duplicate = this.borrowers.find(b => 
+                b.email && b.email.toLowerCase() === borrowerData.email.toLowerCase()
+            );
+            if (duplicate) {
+                return { success: false, error: 'Borrower with this email already exists' };
+            }
+        }
+
+        const cardNumber = (borrowerData.cardNumber || '').trim();
+        if (cardNumber && this.getBorrowerByCardNumber(cardNumber)) {
+            return { success: false, error: `Card number ${cardNumber} is already in use` };
+        }
+
+        const now = new Date();
+        const borrower = {
+            id: Date.now().toString(),
+            cardNumber: cardNumber ? Validator.sanitize(cardNumber) : this.nextCardNumber(),
+            name: Validator.sanitize(borrowerData.name),
+            email: borrowerData.email ? Validator.sanitize(borrowerData.email) : '',
+            phone: borrowerData.phone ? Validator.sanitize(borrowerData.phone) : '',
+            address: borrowerData.address ? Validator.sanitize(borrowerData.address) : '',
+            userId: borrowerData.userId || null,
+            category: this.borrowerCategories.includes(borrowerData.category) ? borrowerData.category : 'Standard',
+            maxLoans: null,
+            block: null,
+            active: true,
+            membershipStart: now.toISOString(),
+            membershipExpires: this.addMembershipTerm(now, this.membershipMonths),
+            notes: [],
+            createdAt: now.toISOString()
+        };
+
+        this.borrowers.push(borrower);
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower };
+    }
+
+    /**
+     * Update a borrower's details
+     * @param {string} borrowerId - Borrower ID
+     * @param {object} borrowerData - {name, email, phone, address, category, cardNumber, membershipExpires}
+     * @returns {object} - {success: boolean, borrower: object, oldBorrower: object, error: string}
+     */
+    updateBorrower(borrowerId, borrowerData) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        if (!borrowerData.name || borrowerData.name.trim().length === 0) {
+            return { success: false, error: 'Borrower name is required' };
+        }
+
+        if (borrowerData.email) {
+            const duplicate = this.borrowers.find(b =>
+                b.id !== borrowerId && b.email && b.email.toLowerCase() === borrowerData.email.toLowerCase()
+            );
+            if (duplicate) {
+                return { success: false, error: 'Borrower with this email already exists' };
+            }
+        }
+
+        const cardNumber = (borrowerData.cardNumber || '').trim();
+        if (!cardNumber) {
+            return { success: false, error: 'Card number is required' };
+        }
+        const sameCard = this.getBorrowerByCardNumber(cardNumber);
+        if (sameCard && sameCard.id !== borrowerId) {
+            return { success: false, error: `Card number ${cardNumber} is already in use by ${sameCard.name}` };
+        }
+
+        if (borrowerData.category && !this.borrowerCategories.includes(borrowerData.category)) {
+            return { success: false, error: 'Invalid borrower category' };
+        }
+
+        let membershipExpires = borrower.membershipExpires;
+        if (borrowerData.membershipExpires) {
+            // A bare date means the membership runs to the end of that day
+            const value = /^\d{4}-\d{2}-\d{2}$/.test(borrowerData.membershipExpires)
+                ? borrowerData.membershipExpires + 'T23:59:59'
+                : borrowerData.membershipExpires;
+            if (isNaN(new Date(value))) {
+                return { success: false, error: 'Membership expiry must be a valid date' };
+            }
+            membershipExpires = new Date(value).toISOString();
+        }
+
+        const oldBorrower = { ...borrower };
+        Object.assign(borrower, {
+            name: Validator.sanitize(borrowerData.name.trim()),
+            email: borrowerData.email ? Validator.sanitize(borrowerData.email) : '',
+            phone: borrowerData.phone ? Validator.sanitize(borrowerData.phone) : '',
+            address: borrowerData.address ? Validator.sanitize(borrowerData.address) : '',
+            category: borrowerData.category || borrower.category,
+            cardNumber: Validator.sanitize(cardNumber),
+            membershipExpires: membershipExpires,
+            updatedAt: new Date().toISOString()
+        });
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower, oldBorrower: oldBorrower };
+    }
+
+    /**
+     * Deactivate a borrower; their open holds are cancelled
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} reason - Why the record is deactivated
+     * @param {string} deactivatedBy - Username of the librarian (optional)
+     * @returns {object} - {success: boolean, borrower: object, cancelledHolds: array of {hold, nextHold}, error: string}
+     */
+    deactivateBorrower(borrowerId, reason, deactivatedBy = null) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+        if (borrower.active === false) {
+            return { success: false, error: 'This borrower is already inactive' };
+        }
+        if (!reason || reason.trim().length === 0) {
+            return { success: false, error: 'A reason is required to deactivate a borrower' };
+        }
+
+        const activeLoans = this.getBorrowerTransactions(borrowerId).filter(t => t.status === 'Active');
+        if (activeLoans.length > 0) {
+            return { success: false, error: `${borrower.name} has ${activeLoans.length} book${activeLoans.length === 1 ? '' : 's'} on loan; return ${activeLoans.length === 1 ? 'it' : 'them'} first` };
+        }
+
+        const cancelledHolds = this.getOpenHolds(borrowerId).map(hold => this.closeHold(hold.id, 'Cancelled'));
+
+        borrower.active = false;
+        borrower.deactivation = {
+            reason: Validator.sanitize(reason.trim()),
+            deactivatedAt: new Date().toISOString(),
+            deactivatedBy: deactivatedBy
+        };
+        this.saveBorrowers();
+
+        return {
+            success: true,
+            borrower: borrower,
+            cancelledHolds: cancelledHolds.map(r => ({ hold: r.hold, nextHold: r.nextHold }))
+        };
+    }
+
+    /**
+     * Reactivate a deactivated borrower
+     * @param {string} borrowerId - Borrower ID
+     * @returns {object} - {success: boolean, borrower: object, error: string}
+     */
+    reactivateBorrower(borrowerId) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+        if (borrower.active !== false) {
+            return { success: false, error: 'This borrower is already active' };
+        }
+
+        borrower.active = true;
+        borrower.deactivation = null;
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower };
+    }
+
+    /**
+     * Extend a borrower's membership by one term, from its expiry or from today if it has lapsed
+     * @param {string} borrowerId - Borrower ID
+     * @param {number} months - Length of the renewal (optional, defaults to the membership term)
+     * @returns {object} - {success: boolean, borrower: object, previousExpiry: string, error: string}
+     */
+    renewMembership(borrowerId, months = null) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        const term = months === null ? this.membershipMonths : parseInt(months);
+        if (isNaN(term) || term < 1 || term > 120) {
+            return { success: false, error: 'Membership term must be between 1 and 120 months' };
+        }
+
+        const previousExpiry = borrower.membershipExpires || null;
+        const now = new Date();
+        const from = previousExpiry && new Date(previousExpiry) > now ? new Date(previousExpiry) : now;
+        borrower.membershipExpires = this.addMembershipTerm(from, term);
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower, previousExpiry: previousExpiry };
+    }
+
+    /**
+     * Check whether a borrower's membership has lapsed
+     * @param {object} borrower - Borrower
+     * @returns {boolean}
+     */
+    isMembershipExpired(borrower) {
+        return !!borrower.membershipExpires && new Date(borrower.membershipExpires) < new Date();
+    }
+
+    /**
+     * Add months to a date
+     * @param {Date|string} from - Start date
+     * @param {number} months - Number of months
+     * @returns {string} - ISO date
+     */
+    addMembershipTerm(from, months) {
+        const date = new Date(from);
+        date.setMonth(date.getMonth() + months);
+        return date.toISOString();
+    }
+
+    /**
+     * Merge a duplicate borrower record into another
+     * Loans, holds, ledger entries and notes move to the kept record; blank contact
+     * details are filled from the duplicate, which is then removed.
+     * @param {string} keepId - Borrower ID to keep
+     * @param {string} mergeId - Duplicate borrower ID to merge and remove
+     * @returns {object} - {success: boolean, borrower: object, merged: object, moved: object, cancelledHolds: array, error: string}
+     */
+    mergeBorrowers(keepId, mergeId) {
+        if (keepId === mergeId) {
+            return { success: false, error: 'Choose two different borrowers to merge' };
+        }
+
+        const keep = this.getBorrower(keepId);
+        const merged = this.getBorrower(mergeId);
+        if (!keep || !merged) {
+            return { success: false, error: 'Borrower not found' };
+        }
+        if (keep.userId && merged.userId && keep.userId !== merged.userId) {
+            return { success: false, error: 'Both records are linked to different user accounts; unlink one first' };
+        }
+
+        const moved = { transactions: 0, holds: 0, ledgerEntries: 0 };
+
+        this.transactions.filter(t => t.borrowerId === mergeId).forEach(t => {
+            t.borrowerId = keepId;
+            moved.transactions++;
+        });
+        this.saveTransactions();
+
+        // Where both records hold the same title, keep the hold on the shelf or else the earlier one
+        const isOpen = h => h.status === 'Waiting' || h.status === 'Ready';
+        const duplicateHolds = [];
+        this.holds.filter(h => h.borrowerId === mergeId).forEach(hold => {
+            const other = isOpen(hold) && this.holds.find(h => h.borrowerId === keepId && h.bookId === hold.bookId && isOpen(h));
+            hold.borrowerId = keepId;
+            moved.holds++;
+            if (other) {
+                const keepHold = other.status === 'Ready' || (hold.status !== 'Ready' && new Date(other.placedAt) <= new Date(hold.placedAt));
+                duplicateHolds.push(keepHold ? hold : other);
+            }
+        });
+        this.saveHolds();
+        const cancelledHolds = duplicateHolds.map(hold => {
+            const result = this.closeHold(hold.id, 'Cancelled');
+            return { hold: result.hold, nextHold: result.nextHold };
+        });
+
+        this.fineLedger.entries.filter(e => e.borrowerId === mergeId).forEach(e => {
+            e.borrowerId = keepId;
+            moved.ledgerEntries++;
+        });
+        this.fineLedger.saveEntries();
+
+        ['email', 'phone', 'address', 'userId'].forEach(field => {
+            if (!keep[field] && merged[field]) keep[field] = merged[field];
+        });
+        if (!keep.maxLoans && merged.maxLoans) keep.maxLoans = merged.maxLoans;
+        if (!this.getActiveBlock(keepId) && this.getActiveBlock(mergeId)) keep.block = merged.block;
+        if (merged.membershipExpires && (!keep.membershipExpires || new Date(merged.membershipExpires) > new Date(keep.membershipExpires))) {
+            keep.membershipExpires = merged.membershipExpires;
+        }
+        if (merged.createdAt && new Date(merged.createdAt) < new Date(keep.createdAt)) {
+            keep.createdAt = merged.createdAt;
+            keep.membershipStart = merged.membershipStart || keep.membershipStart;
+        }
+        keep.notes = [...(keep.notes || []), ...(merged.notes || [])]
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        keep.mergedFrom = [...(keep.mergedFrom || []), {
+            id: merged.id,
+            name: merged.name,
+            cardNumber: merged.cardNumber || '',
+            mergedAt: new Date().toISOString()
+        }];
+
+        this.borrowers = this.borrowers.filter(b => b.id !== mergeId);
+        this.saveBorrowers();
+
+        return { success: true, borrower: keep, merged: merged, moved: moved, cancelledHolds: cancelledHolds };
+    }
+
+    /**
+     * Add a staff note to a borrower
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} text - Note text
+     * @param {string} createdBy - Username of the staff member (optional)
+     * @returns {object} - {success: boolean, note: object, error: string}
+     */
+    addNote(borrowerId, text, createdBy = null) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+        if (!text || text.trim().length === 0) {
+            return { success: false, error: 'Note cannot be empty' };
+        }
+        if (text.trim().length > 1000) {
+            return { success: false, error: 'Note must be 1000 characters or fewer' };
+        }
+
+        const note = {
+            id: Date.now().toString() + Math.random().toString(36).slice(2, 6),
+            text: Validator.sanitize(text.trim()),
+            createdBy: createdBy,
+            createdAt: new Date().toISOString()
+        };
+        borrower.notes = [...(borrower.notes || []), note];
+        this.saveBorrowers();
+
+        return { success: true, note: note };
+    }
+
+    /**
+     * Delete a note from a borrower
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} noteId - Note ID
+     * @returns {object} - {success: boolean, note: object, error: string}
+     */
+    deleteNote(borrowerId, noteId) {
+        const borrower = this.getBorrower(borrowerId);
+        const note = borrower && (borrower.notes || []).find(n => n.id === noteId);
+        if (!note) {
+            return { success: false, error: 'Note not found' };
+        }
+
+        borrower.notes = borrower.notes.filter(n => n.id !== noteId);
+        this.saveBorrowers();
+
+        return { success: true, note: note };
+    }
+
+    /**
+     * Search borrowers by name, email, phone or card number
+     * @param {string} query - Search text (empty matches everyone)
+     * @param {boolean} includeInactive - Include deactivated borrowers
+     * @returns {array} - Matching borrowers, sorted by name
+     */
+    searchBorrowers(query = '', includeInactive = false) {
+        const term = query.trim().toLowerCase();
+        return this.borrowers
+            .filter(b => includeInactive || b.active !== false)
+            .filter(b => !term || [b.name, b.email, b.phone, b.cardNumber]
+                .some(value => value && value.toLowerCase().includes(term)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a borrower by library card number (case-insensitive)
+     * @param {string} cardNumber - Card number
+     * @returns {object|null} - Borrower object or null
+     */
+    getBorrowerByCardNumber(cardNumber) {
+        const wanted = String(cardNumber || '').trim().toLowerCase();
+        if (!wanted) return null;
+        return this.borrowers.find(b => (b.cardNumber || '').toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Generate the next free library card number (LC000001, LC000002, ...)
+     * @returns {string}
+     */
+    nextCardNumber() {
+        const last = this.borrowers
+            .map(b => /^LC(\d+)$/.exec(b.cardNumber || ''))
+            .filter(Boolean)
+            .reduce((max, match) => Math.max(max, parseInt(match[1])), 0);
+        return 'LC' + String(last + 1).padStart(6, '0');
+    }
+
+    /**
+     * Check out a copy of a book
+     * @param {object} copy - {bookId, copyId, barcode, itemType} of the physical copy being lent;
+     *   itemType is the title's genre, used to pick the circulation rule
+     * @param {string} borrowerId - Borrower ID
+     * @param {number} loanDays - Loan period in days (optional)
+     * @param {string} overrideReason - Reason for lending despite failed eligibility rules (optional)
+     * @returns {object} - {success: boolean, transaction: object, fulfilledHold: object|null, failures: array, error: string}
+     *   `failures` lists the eligibility rules that failed (or were overridden)
+     */
+    checkoutBook(copy, borrowerId, loanDays = null, overrideReason = null) {
+        const { bookId, copyId, itemType } = copy;
+        const borrower = this.borrowers.find(b => b.id === borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        if (this.getActiveTransactionForCopy(copyId)) {
+            return { success: false, error: 'This copy is already checked out' };
+        }
+
+        // A copy on the hold shelf goes to its patron; otherwise waiting patrons are served in order
+        const queue = this.getHoldQueue(bookId);
+        let nextHold = queue.find(h => h.status === 'Ready' && h.copyId === copyId) || null;
+        if (nextHold) {
+            if (nextHold.borrowerId !== borrowerId) {
+                return { success: false, error: 'This copy is on the hold shelf for another borrower' };
+            }
+        } else {
+            if (queue.some(h => h.status === 'Ready' && h.borrowerId === borrowerId)) {
+                return { success: false, error: 'Another copy is waiting on the hold shelf for this borrower; check out that copy instead' };
+            }
+            nextHold = queue.find(h => h.status === 'Waiting') || null;
+            if (nextHold && nextHold.borrowerId !== borrowerId) {
+                return { success: false, error: 'This book is on hold for another borrower' };
+            }
+        }
+
+        const eligibility = this.checkEligibility(borrowerId);
+        if (!eligibility.eligible && !overrideReason) {
+            return {
+                success: false,
+                error: `${borrower.name} cannot borrow: ${eligibility.failures.map(f => f.message).join('; ')}`,
+                failures: eligibility.failures
+            };
+        }
+
+        const policy = this.getLoanPolicy(borrowerId, itemType);
+        const checkoutDate = new Date();
+        let dueDate = new Date(checkoutDate);
+        dueDate.setDate(dueDate.getDate() + (loanDays || policy.loanDays));
+        dueDate = this.calendar.nextOpenDay(dueDate);
+
+        const transaction = {
+            id: Date.now().toString(),
+            bookId: bookId,
+            copyId: copyId,
+            barcode: copy.barcode || '',
+            borrowerId: borrowerId,
+            itemType: itemType || '',
+            policy: policy,
+            checkoutDate: checkoutDate.toISOString(),
+            dueDate: dueDate.toISOString(),
+            returnDate: null,
+            status: 'Active',
+            fineAmount: 0,
+            renewalCount: 0,
+            renewals: [],
+            eligibilityOverride: eligibility.eligible ? null : {
+                reason: Validator.sanitize(overrideReason),
+                rules: eligibility.failures.map(f => f.rule)
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        this.transactions.push(transaction);
+        this.saveTransactions();
+
+        if (nextHold) {
+            nextHold.status = 'Fulfilled';
+            nextHold.closedAt = checkoutDate.toISOString();
+            nextHold.transactionId = transaction.id;
+            this.saveHolds();
+        }
+
+        return { success: true, transaction: transaction, fulfilledHold: nextHold || null, failures: eligibility.failures };
+    }
+
+    /**
+     * Check whether a borrower may take out another loan
+     * @param {string} borrowerId - Borrower ID
+     * @returns {object} - {eligible: boolean, failures: array of {rule, message}}
+     */
+    checkEligibility(borrowerId) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { eligible: false, failures: [{ rule: 'not_found', message: 'Borrower not found' }] };
+        }
+
+        const failures = [];
+
+        if (borrower.active === false) {
+            failures.push({ rule: 'inactive', message: 'Borrower record is deactivated' });
+        }
+
+        if (this.isMembershipExpired(borrower)) {
+            failures.push({ rule: 'membership', message: `Membership expired on ${new Date(borrower.membershipExpires).toLocaleDateString()}` });
+        }
+
+        const block = this.getActiveBlock(borrowerId);
+        if (block) {
+            const until = block.expiresAt ? ` until ${new Date(block.expiresAt).toLocaleDateString()}` : '';
+            failures.push({ rule: 'blocked', message: `Blocked${until}: ${block.reason}` });
+        }
+
+        const activeLoans = this.getBorrowerTransactions(borrowerId).filter(t => t.status === 'Active');
+        const loanLimit = this.getLoanLimit(borrowerId);
+        if (activeLoans.length >= loanLimit) {
+            failures.push({ rule: 'loan_limit', message: `Has ${activeLoans.length} books on loan (limit ${loanLimit})` });
+        }
+
+        const fines = this.getOutstandingFines(borrowerId);
+        if (fines > this.maxOutstandingFines) {
+            failures.push({ rule: 'fines', message: `Owes $${fines.toFixed(2)} in fines (limit $${this.maxOutstandingFines.toFixed(2)})` });
+        }
+
+        const now = new Date();
+        const longOverdue = activeLoans.filter(t => {
+            const dueDate = new Date(t.dueDate);
+            return now > dueDate && Math.ceil((now - dueDate) / (1000 * 60 * 60 * 24)) > this.overdueBlockDays;
+        });
+        if (longOverdue.length > 0) {
+            failures.push({
+                rule: 'overdue',
+                message: `Has ${longOverdue.length} book${longOverdue.length === 1 ? '' : 's'} overdue by more than ${this.overdueBlockDays} day${this.overdueBlockDays === 1 ? '' : 's'}`
+            });
+        }
+
+        return { eligible: failures.length === 0, failures: failures };
+    }
+
+    /**
+     * Get a borrower's maximum number of active loans
+     * @param {string} borrowerId - Borrower ID
+     * @returns {number} - The borrower's own limit, or the default limit
+     */
+    getLoanLimit(borrowerId) {
+        const borrower = this.getBorrower(borrowerId);
+        return borrower && borrower.maxLoans ? borrower.maxLoans : this.maxActiveLoans;
+    }
+
+    /**
+     * Set or clear a borrower's own loan limit
+     * @param {string} borrowerId - Borrower ID
+     * @param {number|null} maxLoans - Loan limit, or null to use the default
+     * @returns {object} - {success: boolean, borrower: object, error: string}
+     */
+    setLoanLimit(borrowerId, maxLoans) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        const limit = maxLoans === null || maxLoans === '' ? null : parseInt(maxLoans);
+        if (limit !== null && (isNaN(limit) || limit < 1 || limit > 100)) {
+            return { success: false, error: 'Loan limit must be between 1 and 100' };
+        }
+
+        borrower.maxLoans = limit;
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower };
+    }
+
+    /**
+     * Get the total a borrower owes: their ledger balance plus fines still accruing on overdue loans
+     * @param {string} borrowerId - Borrower ID
+     * @returns {number} - Outstanding amount
+     */
+    getOutstandingFines(borrowerId) {
+        const accruing = this.getBorrowerTransactions(borrowerId)
+            .filter(t => t.status === 'Active')
+            .reduce((sum, t) => sum + this.calculateFine(t.id), 0);
+        return this.fineLedger.getBalance(borrowerId) + accruing;
+    }
+
+    /**
+     * Block a borrower from borrowing
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} reason - Reason for the block
+     * @param {string} expiresAt - ISO date the block lifts (optional, indefinite if omitted)
+     * @param {string} blockedBy - Username of the librarian (optional)
+     * @returns {object} - {success: boolean, borrower: object, error: string}
+     */
+    blockBorrower(borrowerId, reason, expiresAt = null, blockedBy = null) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        if (!reason || reason.trim().length === 0) {
+            return { success: false, error: 'A reason is required to block a borrower' };
+        }
+
+        if (expiresAt && (isNaN(new Date(expiresAt)) || new Date(expiresAt) <= new Date())) {
+            return { success: false, error: 'Block expiry must be a future date' };
+        }
+
+        borrower.block = {
+            reason: Validator.sanitize(reason.trim()),
+            blockedAt: new Date().toISOString(),
+            blockedBy: blockedBy,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+        };
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower };
+    }
+
+    /**
+     * Lift a borrower's manual block
+     * @param {string} borrowerId - Borrower ID
+     * @returns {object} - {success: boolean, block: object, error: string}
+     */
+    unblockBorrower(borrowerId) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        if (!borrower.block) {
+            return { success: false, error: 'This borrower is not blocked' };
+        }
+
+        const block = borrower.block;
+        borrower.block = null;
+        this.saveBorrowers();
+
+        return { success: true, block: block };
+    }
+
+    /**
+     * Get a borrower's manual block if it is still in force
+     * @param {string} borrowerId - Borrower ID
+     * @returns {object|null} - {reason, blockedAt, blockedBy, expiresAt} or null
+     */
+    getActiveBlock(borrowerId) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower || !borrower.block) return null;
+        if (borrower.block.expiresAt && new Date(borrower.block.expiresAt) <= new Date()) return null;
+        return borrower.block;
+    }
+
+    /**
+     * Return a book
+     * @param {string} transactionId - Transaction ID
+     * @param {number} fineAmount - Fine amount if overdue (optional)
+     * @param {object} damage - {condition, notes, charge, reportedBy} if the book came back damaged (optional)
+     * @returns {object} - {success: boolean, transaction: object, hold: object|null, charge: object|null, damageCharge: object|null, error: string}
+     *   `hold` is the hold now waiting on the hold shelf, if anyone was queued for the book;
+     *   `charge` is the ledger entry for the fine, if one was due; `damageCharge` the entry for any damage charge
+     */
+    returnBook(transactionId, fineAmount = 0, damage = null) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
+        }
+
+        if (transaction.status !== 'Active') {
+            return { success: false, error: 'This book is not currently checked out' };
+        }
+
+        const damageAmount = damage ? parseFloat(damage.charge || 0) : 0;
+        if (damage) {
+            if (!damage.notes || damage.notes.trim().length === 0) {
+                return { success: false, error: 'Describe the damage before returning the book' };
+            }
+            if (isNaN(damageAmount) || damageAmount < 0) {
+                return { success: false, error: 'Damage charge cannot be negative' };
+            }
+        }
+
+        transaction.returnDate = new Date().toISOString();
+        transaction.status = 'Returned';
+        transaction.fineAmount = fineAmount;
+        if (damage) {
+            transaction.damage = {
+                condition: damage.condition || 'Damaged',
+                notes: Validator.sanitize(damage.notes.trim()),
+                charge: damageAmount,
+                reportedBy: damage.reportedBy || null,
+                reportedAt: transaction.returnDate
+            };
+        }
+
+        this.saveTransactions();
+
+        let charge = null;
+        if (fineAmount > 0) {
+            charge = this.fineLedger.addCharge(transaction.borrowerId, fineAmount, 'overdue', {
+                transactionId: transaction.id,
+                bookId: transaction.bookId,
+                description: 'Overdue fine'
+            }).entry;
+        }
+
+        let damageCharge = null;
+        if (damageAmount > 0) {
+            damageCharge = this.fineLedger.addCharge(transaction.borrowerId, damageAmount, 'damage', {
+                transactionId: transaction.id,
+                bookId: transaction.bookId,
+                description: `Damage: ${transaction.damage.notes}`,
+                createdBy: transaction.damage.reportedBy
+            }).entry;
+        }
+
+        const hold = this.promoteNextHold(transaction.bookId, transaction.copyId);
+
+        return { success: true, transaction: transaction, hold: hold, charge: charge, damageCharge: damageCharge };
     }
 
     /**
-     * Register a new borrower
-     * @param {object} borrowerData - Borrower information
-     * @returns {object} - {success: boolean, borrower: object, error: string}
+     * Declare a loaned book lost: the loan closes, overdue fines stop at today's amount,
+     * and the replacement cost and processing fee are charged
+     * @param {string} transactionId - Transaction ID
+     * @param {number} replacementCost - The book's price (optional, defaults to the default replacement cost)
+     * @param {string} declaredBy - Username of the staff member (optional)
+     * @returns {object} - {success: boolean, transaction: object, charges: array, error: string}
      */
-    registerBorrower(borrowerData) {
-        // Validate borrower data
-        if (!borrowerData.name || borrowerData.name.trim().length === 0) {
-            return { success: false, error: 'Borrower name is required' };
+    declareLost(transactionId, replacementCost = null, declaredBy = null) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
         }
 
-        // Check for duplicate email if provided
-        if (borrowerData.email) {
-            const duplicate = this.borrowers.find(b => 
-                b.email && b.email.toLowerCase() === borrowerData.email.toLowerCase()
-            );
-            if (duplicate) {
-                return { success: false, error: 'Borrower with this email already exists' };
-            }
+        if (transaction.status !== 'Active') {
+            return { success: false, error: 'Only books on loan can be declared lost' };
         }
 
-        const borrower = {
-            id: Date.now().toString(),
-            name: Validator.sanitize(borrowerData.name),
-            email: borrowerData.email ? Validator.sanitize(borrowerData.email) : '',
-            phone: borrowerData.phone ? Validator.sanitize(borrowerData.phone) : '',
-            address: borrowerData.address ? Validator.sanitize(borrowerData.address) : '',
-            createdAt: new Date().toISOString()
+        const cost = replacementCost === null || replacementCost === '' ? this.defaultReplacementCost : parseFloat(replacementCost);
+        if (isNaN(cost) || cost < 0) {
+            return { success: false, error: 'Replacement cost cannot be negative' };
+        }
+
+        const fine = this.calculateFine(transactionId);
+        const declaredAt = new Date().toISOString();
+
+        transaction.status = 'Lost';
+        transaction.fineAmount = fine;
+        transaction.lost = {
+            declaredAt: declaredAt,
+            declaredBy: declaredBy,
+            replacementCost: cost,
+            processingFee: this.lostProcessingFee,
+            foundAt: null,
+            foundBy: null,
+            refunded: 0
         };
+        this.saveTransactions();
 
-        this.borrowers.push(borrower);
-        this.saveBorrowers();
+        const details = { transactionId: transaction.id, bookId: transaction.bookId, createdBy: declaredBy };
+        const charges = [
+            { amount: fine, category: 'overdue', description: 'Overdue fine up to the loss' },
+            { amount: cost, category: 'lost', description: 'Replacement cost' },
+            { amount: this.lostProcessingFee, category: 'lost', description: 'Lost item processing fee' }
+        ]
+            .filter(c => c.amount > 0)
+            .map(c => this.fineLedger.addCharge(transaction.borrowerId, c.amount, c.category, { ...details, description: c.description }).entry);
 
-        return { success: true, borrower: borrower };
+        return { success: true, transaction: transaction, charges: charges };
+    }
+
+    /**
+     * Record that a book declared lost has been found and returned
+     * Charges are credited back according to the found-item refund policy; the
+     * overdue fine up to the loss stands.
+     * @param {string} transactionId - Transaction ID
+     * @param {string} foundBy - Username of the staff member (optional)
+     * @returns {object} - {success: boolean, transaction: object, credit: object|null, hold: object|null, error: string}
+     */
+    markFound(transactionId, foundBy = null) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
+        }
+
+        if (transaction.status !== 'Lost') {
+            return { success: false, error: 'Only books declared lost can be marked found' };
+        }
+
+        const lost = transaction.lost;
+        const refund = this.foundRefund === 'none' ? 0
+            : lost.replacementCost + (this.foundRefund === 'all' ? lost.processingFee : 0);
+
+        const foundAt = new Date().toISOString();
+        transaction.status = 'Returned';
+        transaction.returnDate = foundAt;
+        lost.foundAt = foundAt;
+        lost.foundBy = foundBy;
+        lost.refunded = refund;
+        this.saveTransactions();
+
+        let credit = null;
+        if (refund > 0) {
+            credit = this.fineLedger.reverseCharge(transaction.borrowerId, refund, 'Lost item found', {
+                transactionId: transaction.id,
+                bookId: transaction.bookId,
+                createdBy: foundBy
+            }).entry;
+        }
+
+        const hold = this.promoteNextHold(transaction.bookId, transaction.copyId);
+
+        return { success: true, transaction: transaction, credit: credit, hold: hold };
+    }
+
+    /**
+     * Renew a loan, extending its due date by the loan period
+     * @param {string} transactionId - Transaction ID
+     * @param {number} loanDays - Extension in days (optional, defaults to the loan period)
+     * @param {number} availableCopies - Copies of the title on the shelf and free to lend
+     * @returns {object} - {success: boolean, transaction: object, error: string}
+     */
+    renewLoan(transactionId, loanDays = null, availableCopies = 0) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
+        }
+
+        if (transaction.status !== 'Active') {
+            return { success: false, error: 'Only active loans can be renewed' };
+        }
+
+        if (new Date(transaction.dueDate) < new Date()) {
+            return { success: false, error: 'Overdue loans cannot be renewed; please return the book' };
+        }
+
+        const policy = this.getTransactionPolicy(transaction);
+        const renewalCount = transaction.renewalCount || 0;
+        if (renewalCount >= policy.maxRenewals) {
+            return { success: false, error: `This loan has reached the renewal limit (${policy.maxRenewals})` };
+        }
+
+        // Copies on the shelf go to waiting holds first; only holds left over need this copy back
+        const waiting = this.getHoldQueue(transaction.bookId).filter(h => h.status === 'Waiting').length;
+        if (waiting > availableCopies) {
+            return { success: false, error: 'Another borrower is waiting for this book, so it cannot be renewed' };
+        }
+
+        const previousDueDate = transaction.dueDate;
+        let dueDate = new Date(previousDueDate);
+        dueDate.setDate(dueDate.getDate() + (loanDays || policy.loanDays));
+        dueDate = this.calendar.nextOpenDay(dueDate);
+
+        transaction.dueDate = dueDate.toISOString();
+        transaction.renewalCount = renewalCount + 1;
+        transaction.renewals = [...(transaction.renewals || []), {
+            renewedAt: new Date().toISOString(),
+            previousDueDate: previousDueDate,
+            dueDate: transaction.dueDate
+        }];
+        this.saveTransactions();
+
+        return { success: true, transaction: transaction };
     }
 
     /**
-     * Check out a book
+     * Push active loans due during a closure to the next open day
+     * @param {string} startDate - First closed day (YYYY-MM-DD)
+     * @param {string} endDate - Last closed day (YYYY-MM-DD)
+     * @param {string} reason - Reason recorded on each loan
+     * @returns {array} - Array of {transaction, previousDueDate}
+     */
+    extendLoansDuringClosure(startDate, endDate, reason) {
+        const extended = [];
+
+        this.transactions.filter(t => t.status === 'Active').forEach(t => {
+            const dueKey = this.calendar.toDateKey(t.dueDate);
+            if (dueKey < startDate || dueKey > endDate) return;
+
+            const previousDueDate = t.dueDate;
+            t.dueDate = this.calendar.nextOpenDay(t.dueDate).toISOString();
+            if (t.dueDate === previousDueDate) return;
+
+            t.extensions = [...(t.extensions || []), {
+                extendedAt: new Date().toISOString(),
+                previousDueDate: previousDueDate,
+                dueDate: t.dueDate,
+                reason: reason
+            }];
+            extended.push({ transaction: t, previousDueDate: previousDueDate });
+        });
+
+        if (extended.length > 0) this.saveTransactions();
+        return extended;
+    }
+
+    /**
+     * Get all active loans, soonest due first
+     * @returns {array} - Array of active transactions
+     */
+    getActiveLoans() {
+        return this.transactions
+            .filter(t => t.status === 'Active')
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    }
+
+    /**
+     * Place a hold on a book that is checked out or waiting for another patron
      * @param {string} bookId - Book ID
      * @param {string} borrowerId - Borrower ID
-     * @param {number} loanDays - Loan period in days (optional)
-     * @returns {object} - {success: boolean, transaction: object, error: string}
+     * @param {number} availableCopies - Copies of the title on the shelf and free to lend
+     * @returns {object} - {success: boolean, hold: object, position: number, error: string}
      */
-    checkoutBook(bookId, borrowerId, loanDays = null) {
+    placeHold(bookId, borrowerId, availableCopies = 0) {
         const borrower = this.borrowers.find(b => b.id === borrowerId);
         if (!borrower) {
             return { success: false, error: 'Borrower not found' };
         }
 
-        // Check if book is already borrowed
-        const activeTransaction = this.transactions.find(t => 
-            t.bookId === bookId && t.status === 'Active'
-        );
+        const queue = this.getHoldQueue(bookId);
+        if (availableCopies > 0) {
+            return { success: false, error: 'A copy of this book is available; check it out instead of placing a hold' };
+        }
 
-        if (activeTransaction) {
-            return { success: false, error: 'This book is already checked out' };
+        if (this.getActiveTransactions(bookId).some(t => t.borrowerId === borrowerId)) {
+            return { success: false, error: 'This borrower already has this book checked out' };
         }
 
-        const checkoutDate = new Date();
-        const dueDate = new Date(checkoutDate);
-        dueDate.setDate(dueDate.getDate() + (loanDays || this.defaultLoanDays));
+        if (queue.some(h => h.borrowerId === borrowerId)) {
+            return { success: false, error: 'This borrower already has a hold on this book' };
+        }
 
-        const transaction = {
-            id: Date.now().toString(),
+        const hold = {
+            id: Date.now().toString() + Math.random().toString(36).slice(2, 6),
             bookId: bookId,
             borrowerId: borrowerId,
-            checkoutDate: checkoutDate.toISOString(),
-            dueDate: dueDate.toISOString(),
-            returnDate: null,
-            status: 'Active',
-            fineAmount: 0,
-            createdAt: new Date().toISOString()
+            status: 'Waiting',
+            placedAt: new Date().toISOString(),
+            readyAt: null,
+            expiresAt: null,
+            closedAt: null
         };
 
-        this.transactions.push(transaction);
-        this.saveTransactions();
+        this.holds.push(hold);
+        this.saveHolds();
 
-        return { success: true, transaction: transaction };
+        return { success: true, hold: hold, position: queue.length + 1 };
     }
 
     /**
-     * Return a book
-     * @param {string} transactionId - Transaction ID
-     * @param {number} fineAmount - Fine amount if overdue (optional)
-     * @returns {object} - {success: boolean, transaction: object, error: string}
+     * Get the open holds for a book in queue order (first come, first served)
+     * @param {string} bookId - Book ID
+     * @returns {array} - Array of Waiting/Ready holds
      */
-    returnBook(transactionId, fineAmount = 0) {
-        const transaction = this.transactions.find(t => t.id === transactionId);
-        if (!transaction) {
-            return { success: false, error: 'Transaction not found' };
+    getHoldQueue(bookId) {
+        return this.holds
+            .filter(h => h.bookId === bookId && (h.status === 'Waiting' || h.status === 'Ready'))
+            .sort((a, b) => new Date(a.placedAt) - new Date(b.placedAt));
+    }
+
+    /**
+     * Get the hold at the front of a book's queue
+     * @param {string} bookId - Book ID
+     * @returns {object|null} - Hold or null
+     */
+    getNextHold(bookId) {
+        return this.getHoldQueue(bookId)[0] || null;
+    }
+
+    /**
+     * Get a hold's position in its book's queue
+     * @param {string} holdId - Hold ID
+     * @returns {number} - 1-based position, or 0 if the hold is not open
+     */
+    getHoldPosition(holdId) {
+        const hold = this.holds.find(h => h.id === holdId);
+        if (!hold) return 0;
+        return this.getHoldQueue(hold.bookId).findIndex(h => h.id === holdId) + 1;
+    }
+
+    /**
+     * Get all open holds (Waiting/Ready), optionally for one borrower
+     * @param {string} borrowerId - Borrower ID (optional)
+     * @returns {array} - Array of holds
+     */
+    getOpenHolds(borrowerId = null) {
+        return this.holds
+            .filter(h => (h.status === 'Waiting' || h.status === 'Ready') && (!borrowerId || h.borrowerId === borrowerId))
+            .sort((a, b) => new Date(a.placedAt) - new Date(b.placedAt));
+    }
+
+    /**
+     * Put the next waiting hold for a book on the hold shelf with a pickup deadline
+     * @param {string} bookId - Book ID
+     * @param {string} copyId - The copy going on the hold shelf
+     * @returns {object|null} - The hold now ready for pickup, or null if nobody is waiting
+     */
+    promoteNextHold(bookId, copyId) {
+        const next = this.getHoldQueue(bookId).find(h => h.status === 'Waiting');
+        if (!next) return null;
+
+        const readyAt = new Date();
+        const expiresAt = new Date(readyAt);
+        expiresAt.setDate(expiresAt.getDate() + this.holdPickupDays);
+
+        next.status = 'Ready';
+        next.copyId = copyId;
+        next.readyAt = readyAt.toISOString();
+        next.expiresAt = expiresAt.toISOString();
+        this.saveHolds();
+
+        return next;
+    }
+
+    /**
+     * Cancel a hold. If the book was waiting on the shelf for this patron, the next hold is promoted.
+     * @param {string} holdId - Hold ID
+     * @returns {object} - {success: boolean, hold: object, nextHold: object|null, error: string}
+     */
+    cancelHold(holdId) {
+        return this.closeHold(holdId, 'Cancelled');
+    }
+
+    /**
+     * Expire holds whose pickup deadline has passed and promote the next patron in each queue
+     * @returns {array} - Array of {hold, nextHold} for each expired hold
+     */
+    expireHolds() {
+        const now = new Date();
+        return this.holds
+            .filter(h => h.status === 'Ready' && h.expiresAt && new Date(h.expiresAt) < now)
+            .map(h => {
+                const result = this.closeHold(h.id, 'Expired');
+                return { hold: result.hold, nextHold: result.nextHold };
+            });
+    }
+
+    /**
+     * Close an open hold
+     * @param {string} holdId - Hold ID
+     * @param {string} status - Final status (Cancelled or Expired)
+     * @returns {object} - {success: boolean, hold: object, nextHold: object|null, error: string}
+     */
+    closeHold(holdId, status) {
+        const hold = this.holds.find(h => h.id === holdId);
+        if (!hold) {
+            return { success: false, error: 'Hold not found' };
         }
 
-        if (transaction.status !== 'Active') {
-            return { success: false, error: 'This book is not currently checked out' };
+        if (hold.status !== 'Waiting' && hold.status !== 'Ready') {
+            return { success: false, error: 'This hold is no longer open' };
         }
 
-        transaction.returnDate = new Date().toISOString();
-        transaction.status = 'Returned';
-        transaction.fineAmount = fineAmount;
+        const wasReady = hold.status === 'Ready';
+        hold.status = status;
+        hold.closedAt = new Date().toISOString();
+        this.saveHolds();
 
-        this.saveTransactions();
+        // The shelved copy passes to the next patron in line
+        const nextHold = wasReady ? this.promoteNextHold(hold.bookId, hold.copyId) : null;
 
-        return { success: true, transaction: transaction };
+        return { success: true, hold: hold, nextHold: nextHold };
+    }
+
+    /**
+     * Get the active transaction for a copy
+     * @param {string} copyId - Copy ID
+     * @returns {object|null} - Active transaction or null
+     */
+    getActiveTransactionForCopy(copyId) {
+        return this.transactions.find(t => t.copyId === copyId && t.status === 'Active') || null;
+    }
+
+    /**
+     * Attach copies to loans and shelved holds recorded before books had copies
+     * @param {function} copyForBook - Returns the copy ({id, barcode}) to use for a book ID, or null
+     * @returns {number} - Number of records updated
+     */
+    assignCopyIds(copyForBook) {
+        let count = 0;
+
+        this.transactions.filter(t => !t.copyId).forEach(t => {
+            const copy = copyForBook(t.bookId);
+            if (!copy) return;
+            t.copyId = copy.id;
+            t.barcode = copy.barcode;
+            count++;
+        });
+        this.holds.filter(h => h.status === 'Ready' && !h.copyId).forEach(h => {
+            const copy = copyForBook(h.bookId);
+            if (!copy) return;
+            h.copyId = copy.id;
+            count++;
+        });
+
+        if (count > 0) {
+            this.saveTransactions();
+            this.saveHolds();
+        }
+        return count;
     }
 
     /**
@@ -150,11 +1281,13 @@ class BorrowingSystem {
 
     /**
      * Calculate fine for overdue book
+     * Only days the library was open after the due date count. Nothing is charged
+     * within the grace period; after it, every overdue day counts, up to the rule's cap.
      * @param {string} transactionId - Transaction ID
-     * @param {number} dailyFine - Daily fine amount (default: 0.50)
+     * @param {number} dailyFine - Daily fine amount (default: the rate of the loan's circulation rule)
      * @returns {number} - Calculated fine amount
      */
-    calculateFine(transactionId, dailyFine = 0.50) {
+    calculateFine(transactionId, dailyFine = null) {
         const transaction = this.transactions.find(t => t.id === transactionId);
         if (!transaction || transaction.status !== 'Active') {
             return 0;
@@ -167,8 +1300,79 @@ class BorrowingSystem {
             return 0;
         }
 
-        const daysOverdue = Math.ceil((now - dueDate) / (1000 * 60 * 60 * 24));
-        return daysOverdue * dailyFine;
+        const policy = this.getTransactionPolicy(transaction);
+        const daysOverdue = this.calendar.countOpenDays(dueDate, now);
+        if (daysOverdue <= policy.graceDays) {
+            return 0;
+        }
+
+        const fine = daysOverdue * (dailyFine !== null ? dailyFine : policy.dailyFine);
+        return policy.maxFine !== null ? Math.min(fine, policy.maxFine) : fine;
+    }
+
+    /**
+     * Resolve the loan terms for a borrower and item type
+     * Falls back to the default borrowing settings when no circulation rule matches.
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} itemType - Item type (genre)
+     * @returns {object} - {ruleId, ruleName, loanDays, dailyFine, graceDays, maxFine, maxRenewals}
+     */
+    getLoanPolicy(borrowerId, itemType = '') {
+        const borrower = this.getBorrower(borrowerId);
+        const rule = this.circulationPolicy.findRule(borrower ? borrower.category || 'Standard' : 'Standard', itemType || '');
+        if (!rule) {
+            return {
+                ruleId: null,
+                ruleName: 'Default',
+                loanDays: this.defaultLoanDays,
+                dailyFine: this.dailyFine,
+                graceDays: 0,
+                maxFine: null,
+                maxRenewals: this.maxRenewals
+            };
+        }
+
+        return {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            loanDays: rule.loanDays,
+            dailyFine: rule.dailyFine,
+            graceDays: rule.graceDays,
+            maxFine: rule.maxFine,
+            maxRenewals: rule.maxRenewals
+        };
+    }
+
+    /**
+     * Get the loan terms a transaction was issued under
+     * Loans made before circulation rules existed use the current terms.
+     * @param {object} transaction - Transaction
+     * @returns {object} - {ruleId, ruleName, loanDays, dailyFine, graceDays, maxFine, maxRenewals}
+     */
+    getTransactionPolicy(transaction) {
+        return transaction.policy || this.getLoanPolicy(transaction.borrowerId, transaction.itemType);
+    }
+
+    /**
+     * Set a borrower's category
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} category - One of the borrower categories
+     * @returns {object} - {success: boolean, borrower: object, error: string}
+     */
+    setBorrowerCategory(borrowerId, category) {
+        const borrower = this.getBorrower(borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        if (!this.borrowerCategories.includes(category)) {
+            return { success: false, error: 'Invalid borrower category' };
+        }
+
+        borrower.category = category;
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower };
     }
 
     /**
@@ -180,6 +1384,100 @@ class BorrowingSystem {
         return this.borrowers.find(b => b.id === borrowerId) || null;
     }
 
+    /**
+     * Get the borrower linked to a user account
+     * @param {string} userId - User ID
+     * @returns {object|null} - Borrower object or null
+     */
+    getBorrowerByUserId(userId) {
+        if (!userId) return null;
+        return this.borrowers.find(b => b.userId === userId) || null;
+    }
+
+    /**
+     * Link a borrower record to a user account
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} userId - User ID
+     * @returns {object} - {success: boolean, borrower: object, error: string}
+     */
+    linkUser(borrowerId, userId) {
+        const borrower = this.borrowers.find(b => b.id === borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        const existing = this.getBorrowerByUserId(userId);
+        if (existing && existing.id !== borrowerId) {
+            return { success: false, error: `This account is already linked to ${existing.name}` };
+        }
+
+        borrower.userId = userId;
+        this.saveBorrowers();
+
+        return { success: true, borrower: borrower };
+    }
+
+    /**
+     * Remove the user account link from a borrower
+     * @param {string} borrowerId - Borrower ID
+     * @returns {object} - {success: boolean, error: string}
+     */
+    unlinkUser(borrowerId) {
+        const borrower = this.borrowers.find(b => b.id === borrowerId);
+        if (!borrower) {
+            return { success: false, error: 'Borrower not found' };
+        }
+
+        borrower.userId = null;
+        this.saveBorrowers();
+
+        return { success: true };
+    }
+
+    /**
+     * Find an unlinked borrower with the given email, a candidate for an account link
+     * @param {string} email - Email address
+     * @returns {object|null}
+     */
+    findUnlinkedBorrowerByEmail(email) {
+        if (!email) return null;
+        return this.borrowers.find(b =>
+            !b.userId && b.email && b.email.toLowerCase() === email.toLowerCase()
+        ) || null;
+    }
+
+    /**
+     * Find an existing borrower for a user account, or register one
+     * An unlinked borrower with the same email is only linked when the caller confirmed the
+     * match by passing its ID; an email alone never links an account to someone's loans.
+     * @param {object} user - {id, username, fullName, email}
+     * @param {string} matchedBorrowerId - Borrower confirmed as this user (optional)
+     * @returns {object} - {success: boolean, borrower: object, created: boolean, match: object, error: string}
+     */
+    ensureBorrowerForUser(user, matchedBorrowerId = null) {
+        const linked = this.getBorrowerByUserId(user.id);
+        if (linked) {
+            return { success: true, borrower: linked, created: false };
+        }
+
+        if (matchedBorrowerId) {
+            const result = this.linkUser(matchedBorrowerId, user.id);
+            return { ...result, created: false };
+        }
+
+        const match = this.findUnlinkedBorrowerByEmail(user.email);
+        if (match) {
+            return { success: false, match: match, error: `Borrower ${match.name} already uses this email; link the account from the Borrowers list if it is the same person` };
+        }
+
+        const result = this.registerBorrower({
+            name: user.fullName || user.username,
+            email: user.email,
+            userId: user.id
+        });
+        return { ...result, created: result.success };
+    }
+
     /**
      * Get all borrowers
      * @returns {array} - Array of all borrowers
@@ -189,17 +1487,24 @@ class BorrowingSystem {
     }
 
     /**
-     * Save borrowers to localStorage
+     * Save borrowers to storage
      */
     saveBorrowers() {
-        localStorage.setItem('borrowers', JSON.stringify(this.borrowers));
+        LibraryStorage.set('borrowers', this.borrowers);
     }
 
     /**
-     * Save transactions to localStorage
+     * Save transactions to storage
      */
     saveTransactions() {
-        localStorage.setItem('transactions', JSON.stringify(this.transactions));
+        LibraryStorage.set('transactions', this.transactions);
+    }
+
+    /**
+     * Save holds to storage
+     */
+    saveHolds() {
+        LibraryStorage.set('holds', this.holds);
     }
 }
 
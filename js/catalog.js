@@ -0,0 +1,326 @@
+/**
+ * Catalog Utilities
+ * Titles hold bibliographic data; each title has one or more physical copies
+ * with their own barcode, location, status and condition.
+ */
+
+class Catalog {
+    /**
+     * Copy statuses, in the order used to summarise a title
+     */
+    static get COPY_STATUSES() {
+        return ['Available', 'Reserved', 'Borrowed', 'Lost'];
+    }
+
+    /**
+     * Statuses staff may set by hand; Borrowed and Reserved are set by checkouts and holds
+     */
+    static get SHELF_STATUSES() {
+        return ['Available', 'Lost'];
+    }
+
+    /**
+     * Copy conditions
+     */
+    static get CONDITIONS() {
+        return ['New', 'Good', 'Fair', 'Poor', 'Damaged'];
+    }
+
+    /**
+     * Convert records from before the title/copy split: each book becomes a title with one copy
+     * @param {array} books - Book records (modified in place)
+     * @returns {number} - Number of records converted
+     */
+    static migrateBooks(books) {
+        const nextBarcode = this.barcodeSequence(books);
+        let count = 0;
+        books.forEach(book => {
+            if (Array.isArray(book.copies)) return;
+
+            book.copies = [{
+                id: `${book.id}-c1`,
+                barcode: nextBarcode(),
+                location: book.location || '',
+                status: this.COPY_STATUSES.includes(book.status) ? book.status : 'Available',
+                condition: 'Good',
+                dateAdded: book.dateAdded || new Date().toISOString()
+            }];
+            this.refreshTitle(book);
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Add imported book records to the catalog
+     * A record whose ISBN is already catalogued (or appears earlier in the import) becomes
+     * more copies of that title instead of a second title. Copies keep their barcodes where
+     * those are free; loans are not imported, so copies arrive on the shelf unless lost.
+     * @param {array} books - All titles, already split into copies (modified in place)
+     * @param {array} records - Imported records, with or without `copies`
+     * @returns {object} - {added: array of titles, merged: array of {book, copies}}
+     */
+    static importTitles(books, records) {
+        const nextBarcode = this.barcodeSequence(books);
+        const allCopies = books.flatMap(book => book.copies);
+        const barcodes = new Set(allCopies.map(copy => (copy.barcode || '').toLowerCase()));
+        const copyIds = new Set(allCopies.map(copy => copy.id));
+        const bookIds = new Set(books.map(book => book.id));
+        const byIsbn = new Map();
+        books.forEach(book => {
+            const key = this.isbnKey(book.isbn);
+            if (key && !byIsbn.has(key)) byIsbn.set(key, book);
+        });
+
+        const newId = () => Date.now().toString() + Math.random().toString(36).slice(2, 6);
+        const claimBarcode = (wanted) => {
+            let barcode = String(wanted || '').trim();
+            while (!barcode || barcodes.has(barcode.toLowerCase())) barcode = nextBarcode();
+            barcodes.add(barcode.toLowerCase());
+            return Validator.sanitize(barcode);
+        };
+
+        const result = { added: [], merged: [] };
+        records.forEach(record => {
+            const sourceCopies = Array.isArray(record.copies) && record.copies.length > 0
+                ? record.copies
+                : [{ location: record.location, status: record.status, dateAdded: record.dateAdded }];
+            const copies = sourceCopies.map(copy => {
+                const id = copy.id && !copyIds.has(copy.id) ? copy.id : newId();
+                copyIds.add(id);
+                return {
+                    id: id,
+                    barcode: claimBarcode(copy.barcode),
+                    location: copy.location ? Validator.sanitize(copy.location) : '',
+                    status: this.SHELF_STATUSES.includes(copy.status) ? copy.status : 'Available',
+                    condition: this.CONDITIONS.includes(copy.condition) ? copy.condition : 'Good',
+                    dateAdded: copy.dateAdded || new Date().toISOString()
+                };
+            });
+
+            const key = this.isbnKey(record.isbn);
+            const existing = key ? byIsbn.get(key) : null;
+            if (existing) {
+                existing.copies.push(...copies);
+                this.refreshTitle(existing);
+                result.merged.push({ book: existing, copies: copies });
+                return;
+            }
+
+            if (!record.id || bookIds.has(record.id)) record.id = newId();
+            bookIds.add(record.id);
+            record.copies = copies;
+            this.refreshTitle(record);
+            books.push(record);
+            if (key) byIsbn.set(key, record);
+            result.added.push(record);
+        });
+
+        return result;
+    }
+
+    /**
+     * Normalise an ISBN for matching (ignores case, spaces and hyphens)
+     * @param {string} isbn - ISBN
+     * @returns {string}
+     */
+    static isbnKey(isbn) {
+        return String(isbn || '').replace(/[\s-]/g, '').toLowerCase();
+    }
+
+    /**
+     * Create a copy record
+     * @param {array} books - All titles (for barcode uniqueness)
+     * @param {object} copyData - {barcode, location, status, condition} (all optional)
+     * @returns {object} - {success: boolean, copy: object, error: string}
+     */
+    static createCopy(books, copyData = {}) {
+        const barcode = (copyData.barcode || '').trim();
+        if (barcode && this.findCopyByBarcode(books, barcode)) {
+            return { success: false, error: `Barcode ${barcode} is already in use` };
+        }
+
+        return {
+            success: true,
+            copy: {
+                id: Date.now().toString() + Math.random().toString(36).slice(2, 6),
+                barcode: barcode ? Validator.sanitize(barcode) : this.nextBarcode(books),
+                location: copyData.location ? Validator.sanitize(copyData.location) : '',
+                status: this.SHELF_STATUSES.includes(copyData.status) ? copyData.status : 'Available',
+                condition: this.CONDITIONS.includes(copyData.condition) ? copyData.condition : 'Good',
+                dateAdded: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Update a copy's barcode, location, status or condition
+     * @param {array} books - All titles
+     * @param {string} copyId - Copy ID
+     * @param {object} copyData - {barcode, location, status, condition}
+     * @returns {object} - {success: boolean, copy: object, oldCopy: object, error: string}
+     */
+    static updateCopy(books, copyId, copyData) {
+        const found = this.findCopy(books, copyId);
+        if (!found) {
+            return { success: false, error: 'Copy not found' };
+        }
+
+        const copy = found.copy;
+        const barcode = (copyData.barcode || '').trim();
+        if (!barcode) {
+            return { success: false, error: 'Barcode is required' };
+        }
+        const sameBarcode = this.findCopyByBarcode(books, barcode);
+        if (sameBarcode && sameBarcode.copy.id !== copyId) {
+            return { success: false, error: `Barcode ${barcode} is already in use` };
+        }
+
+        const status = copyData.status || copy.status;
+        if (status !== copy.status && (!this.SHELF_STATUSES.includes(copy.status) || !this.SHELF_STATUSES.includes(status))) {
+            return { success: false, error: 'Borrowed and Reserved are set by checkouts and holds' };
+        }
+
+        const oldCopy = { ...copy };
+        Object.assign(copy, {
+            barcode: Validator.sanitize(barcode),
+            location: copyData.location ? Validator.sanitize(copyData.location) : '',
+            status: status,
+            condition: this.CONDITIONS.includes(copyData.condition) ? copyData.condition : copy.condition
+        });
+        this.refreshTitle(found.book);
+
+        return { success: true, copy: copy, oldCopy: oldCopy };
+    }
+
+    /**
+     * Remove a copy from its title
+     * @param {array} books - All titles
+     * @param {string} copyId - Copy ID
+     * @returns {object} - {success: boolean, copy: object, error: string}
+     */
+    static removeCopy(books, copyId) {
+        const found = this.findCopy(books, copyId);
+        if (!found) {
+            return { success: false, error: 'Copy not found' };
+        }
+        if (found.copy.status === 'Borrowed' || found.copy.status === 'Reserved') {
+            return { success: false, error: 'A copy that is checked out or on the hold shelf cannot be removed' };
+        }
+        if (found.book.copies.length === 1) {
+            return { success: false, error: 'This is the only copy; delete the book instead' };
+        }
+
+        found.book.copies = found.book.copies.filter(c => c.id !== copyId);
+        this.refreshTitle(found.book);
+
+        return { success: true, copy: found.copy };
+    }
+
+    /**
+     * Generate the next free library barcode (LIB000001, LIB000002, ...)
+     * @param {array} books - All titles
+     * @returns {string}
+     */
+    static nextBarcode(books) {
+        return this.barcodeSequence(books)();
+    }
+
+    /**
+     * Hand out library barcodes in sequence, scanning the catalog only once
+     * Use this when creating many copies at a time, e.g. during a migration.
+     * @param {array} books - All titles
+     * @returns {function} - Returns the next barcode on each call
+     */
+    static barcodeSequence(books) {
+        let last = books
+            .flatMap(book => book.copies || [])
+            .map(copy => /^LIB(\d+)$/.exec(copy.barcode || ''))
+            .filter(Boolean)
+            .reduce((max, match) => Math.max(max, parseInt(match[1])), 0);
+        return () => 'LIB' + String(++last).padStart(6, '0');
+    }
+
+    /**
+     * Find a copy and its title by copy ID
+     * @param {array} books - All titles
+     * @param {string} copyId - Copy ID
+     * @returns {object|null} - {book, copy} or null
+     */
+    static findCopy(books, copyId) {
+        for (const book of books) {
+            const copy = (book.copies || []).find(c => c.id === copyId);
+            if (copy) return { book: book, copy: copy };
+        }
+        return null;
+    }
+
+    /**
+     * Find a copy and its title by barcode (case-insensitive)
+     * @param {array} books - All titles
+     * @param {string} barcode - Barcode
+     * @returns {object|null} - {book, copy} or null
+     */
+    static findCopyByBarcode(books, barcode) {
+        const wanted = String(barcode || '').trim().toLowerCase();
+        if (!wanted) return null;
+        for (const book of books) {
+            const copy = (book.copies || []).find(c => (c.barcode || '').toLowerCase() === wanted);
+            if (copy) return { book: book, copy: copy };
+        }
+        return null;
+    }
+
+    /**
+     * Count a title's copies that can be lent
+     * @param {object} book - Title
+     * @returns {object} - {available, total}; lost copies are not counted in the total
+     */
+    static getAvailability(book) {
+        const copies = (book.copies || []).filter(c => c.status !== 'Lost');
+        return {
+            available: copies.filter(c => c.status === 'Available').length,
+            total: copies.length
+        };
+    }
+
+    /**
+     * Describe a title's availability, e.g. "3 of 5 available"
+     * @param {object} book - Title
+     * @returns {string}
+     */
+    static describeAvailability(book) {
+        const { available, total } = this.getAvailability(book);
+        return total === 0 ? 'No copies' : `${available} of ${total} available`;
+    }
+
+    /**
+     * Recompute a title's summary status and location from its copies
+     * The summary is the "best" copy status, so a title is Available while any copy is.
+     * @param {object} book - Title (modified in place)
+     * @returns {object} - The title
+     */
+    static refreshTitle(book) {
+        const copies = book.copies || [];
+        book.status = this.COPY_STATUSES.find(status => copies.some(c => c.status === status)) || 'Lost';
+        book.location = [...new Set(copies.map(c => c.location).filter(Boolean))].join(', ');
+        return book;
+    }
+
+    /**
+     * Count copies by status across all titles
+     * @param {array} books - All titles
+     * @returns {object} - {total, Available, Reserved, Borrowed, Lost}
+     */
+    static countCopies(books) {
+        const counts = { total: 0 };
+        this.COPY_STATUSES.forEach(status => { counts[status] = 0; });
+        books.forEach(book => {
+            (book.copies || []).forEach(copy => {
+                counts.total++;
+                counts[copy.status] = (counts[copy.status] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+}
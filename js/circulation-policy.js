@@ -0,0 +1,173 @@
+/**
+ * Circulation Policy
+ * Rules keyed by borrower category and item type (genre) that set loan terms
+ */
+
+class CirculationPolicy {
+    constructor() {
+        this.rules = LibraryStorage.get('circulationRules') || [];
+    }
+
+    /**
+     * Validate and normalise rule fields
+     * @param {object} ruleData - {name, borrowerCategory, itemType, loanDays, dailyFine, graceDays, maxFine, maxRenewals}
+     * @returns {object} - {success: boolean, rule: object, error: string}
+     */
+    validateRule(ruleData) {
+        const name = (ruleData.name || '').trim();
+        const loanDays = parseInt(ruleData.loanDays);
+        const dailyFine = parseFloat(ruleData.dailyFine);
+        const graceDays = parseInt(ruleData.graceDays || 0);
+        const maxFine = ruleData.maxFine === null || ruleData.maxFine === undefined || ruleData.maxFine === ''
+            ? null : parseFloat(ruleData.maxFine);
+        const maxRenewals = parseInt(ruleData.maxRenewals);
+
+        if (!name) {
+            return { success: false, error: 'Rule name is required' };
+        }
+        if (isNaN(loanDays) || loanDays < 1 || loanDays > 365) {
+            return { success: false, error: 'Loan period must be between 1 and 365 days' };
+        }
+        if (isNaN(dailyFine) || dailyFine < 0) {
+            return { success: false, error: 'Daily fine cannot be negative' };
+        }
+        if (isNaN(graceDays) || graceDays < 0 || graceDays > 30) {
+            return { success: false, error: 'Grace period must be between 0 and 30 days' };
+        }
+        if (maxFine !== null && (isNaN(maxFine) || maxFine < 0)) {
+            return { success: false, error: 'Maximum fine cannot be negative' };
+        }
+        if (isNaN(maxRenewals) || maxRenewals < 0 || maxRenewals > 20) {
+            return { success: false, error: 'Maximum renewals must be between 0 and 20' };
+        }
+
+        return {
+            success: true,
+            rule: {
+                name: Validator.sanitize(name),
+                borrowerCategory: ruleData.borrowerCategory || '*',
+                itemType: ruleData.itemType || '*',
+                loanDays: loanDays,
+                dailyFine: dailyFine,
+                graceDays: graceDays,
+                maxFine: maxFine,
+                maxRenewals: maxRenewals
+            }
+        };
+    }
+
+    /**
+     * Add a rule
+     * @param {object} ruleData - Rule fields
+     * @returns {object} - {success: boolean, rule: object, error: string}
+     */
+    addRule(ruleData) {
+        const result = this.validateRule(ruleData);
+        if (!result.success) return result;
+
+        const duplicate = this.rules.find(r =>
+            r.borrowerCategory === result.rule.borrowerCategory && r.itemType === result.rule.itemType
+        );
+        if (duplicate) {
+            return { success: false, error: `Rule "${duplicate.name}" already covers this category and item type` };
+        }
+
+        const rule = {
+            id: 'rule-' + Date.now().toString(),
+            ...result.rule,
+            createdAt: new Date().toISOString()
+        };
+        this.rules.push(rule);
+        this.saveRules();
+
+        return { success: true, rule: rule };
+    }
+
+    /**
+     * Update a rule
+     * @param {string} ruleId - Rule ID
+     * @param {object} ruleData - Rule fields
+     * @returns {object} - {success: boolean, rule: object, oldRule: object, error: string}
+     */
+    updateRule(ruleId, ruleData) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) {
+            return { success: false, error: 'Rule not found' };
+        }
+
+        const result = this.validateRule(ruleData);
+        if (!result.success) return result;
+
+        const duplicate = this.rules.find(r => r.id !== ruleId &&
+            r.borrowerCategory === result.rule.borrowerCategory && r.itemType === result.rule.itemType
+        );
+        if (duplicate) {
+            return { success: false, error: `Rule "${duplicate.name}" already covers this category and item type` };
+        }
+
+        const oldRule = { ...rule };
+        Object.assign(rule, result.rule, { updatedAt: new Date().toISOString() });
+        this.saveRules();
+
+        return { success: true, rule: rule, oldRule: oldRule };
+    }
+
+    /**
+     * Delete a rule
+     * @param {string} ruleId - Rule ID
+     * @returns {object} - {success: boolean, rule: object, error: string}
+     */
+    deleteRule(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) {
+            return { success: false, error: 'Rule not found' };
+        }
+
+        this.rules = this.rules.filter(r => r.id !== ruleId);
+        this.saveRules();
+
+        return { success: true, rule: rule };
+    }
+
+    /**
+     * Find the most specific rule for a borrower category and item type
+     * An item type match outranks a category match, so reference items keep
+     * their short loans whoever borrows them; `*` matches anything.
+     * @param {string} borrowerCategory - Borrower category
+     * @param {string} itemType - Item type (genre)
+     * @returns {object|null} - Matching rule or null
+     */
+    findRule(borrowerCategory, itemType) {
+        let best = null;
+        let bestScore = -1;
+
+        this.rules.forEach(rule => {
+            const categoryMatch = rule.borrowerCategory === '*' || rule.borrowerCategory === borrowerCategory;
+            const typeMatch = rule.itemType === '*' || rule.itemType === itemType;
+            if (!categoryMatch || !typeMatch) return;
+
+            const score = (rule.itemType !== '*' ? 2 : 0) + (rule.borrowerCategory !== '*' ? 1 : 0);
+            if (score > bestScore) {
+                best = rule;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Get all rules
+     * @returns {array} - Array of rules
+     */
+    getRules() {
+        return [...this.rules];
+    }
+
+    /**
+     * Save rules to storage
+     */
+    saveRules() {
+        LibraryStorage.set('circulationRules', this.rules);
+    }
+}
@@ -21,8 +21,8 @@ class DataExporter {
     static exportToCSV(books) {
         if (books.length === 0) return '';
 
-        // Get headers from first book
-        const headers = Object.keys(books[0]);
+        // Get headers from first book; copies are nested records, so only JSON exports carry them
+        const headers = Object.keys(books[0]).filter(header => header !== 'copies');
         
         // Create CSV header row
         let csv = headers.join(',') + '\n';
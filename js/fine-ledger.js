@@ -0,0 +1,283 @@
+/**
+ * Fine Ledger
+ * Per-borrower record of charges (fines, lost items) and credits (payments, waivers, reversals,
+ * and fines carried over as settled from before the ledger existed)
+ */
+
+class FineLedger {
+    constructor() {
+        this.entries = LibraryStorage.get('fineLedger') || [];
+        this.chargeCategories = ['overdue', 'lost', 'damage', 'other'];
+        this.paymentMethods = ['cash', 'card', 'cheque', 'other'];
+    }
+
+    /**
+     * Post a charge to a borrower's account
+     * @param {string} borrowerId - Borrower ID
+     * @param {number} amount - Amount charged
+     * @param {string} category - 'overdue', 'lost', 'damage' or 'other'
+     * @param {object} details - {transactionId, bookId, description, createdBy, createdAt} (optional)
+     * @returns {object} - {success: boolean, entry: object, balance: number, error: string}
+     */
+    addCharge(borrowerId, amount, category, details = {}) {
+        if (!this.chargeCategories.includes(category)) {
+            return { success: false, error: 'Invalid charge category' };
+        }
+
+        return this.addEntry(borrowerId, 'charge', amount, { ...details, category: category });
+    }
+
+    /**
+     * Record a payment, which may cover part of the balance
+     * @param {string} borrowerId - Borrower ID
+     * @param {number} amount - Amount paid
+     * @param {string} method - 'cash', 'card', 'cheque' or 'other'
+     * @param {string} createdBy - Username of the staff member taking payment (optional)
+     * @returns {object} - {success: boolean, entry: object, balance: number, error: string}
+     */
+    recordPayment(borrowerId, amount, method, createdBy = null) {
+        if (!this.paymentMethods.includes(method)) {
+            return { success: false, error: 'Invalid payment method' };
+        }
+
+        const check = this.checkCredit(borrowerId, amount);
+        if (!check.success) return check;
+
+        return this.addEntry(borrowerId, 'payment', amount, {
+            method: method,
+            receiptNumber: this.nextReceiptNumber(),
+            createdBy: createdBy
+        });
+    }
+
+    /**
+     * Waive part or all of a borrower's balance
+     * @param {string} borrowerId - Borrower ID
+     * @param {number} amount - Amount forgiven
+     * @param {string} reason - Why the amount is waived
+     * @param {string} createdBy - Username of the staff member granting the waiver (optional)
+     * @returns {object} - {success: boolean, entry: object, balance: number, error: string}
+     */
+    waive(borrowerId, amount, reason, createdBy = null) {
+        if (!reason || reason.trim().length === 0) {
+            return { success: false, error: 'A reason is required for a waiver' };
+        }
+
+        const check = this.checkCredit(borrowerId, amount);
+        if (!check.success) return check;
+
+        return this.addEntry(borrowerId, 'waiver', amount, {
+            description: reason.trim(),
+            createdBy: createdBy
+        });
+    }
+
+    /**
+     * Reverse part or all of an earlier charge, e.g. when a lost item turns up
+     * Unlike a waiver this may leave the account in credit if the charge was already paid.
+     * @param {string} borrowerId - Borrower ID
+     * @param {number} amount - Amount credited back
+     * @param {string} reason - Why the charge is reversed
+     * @param {object} details - {transactionId, bookId, createdBy} (optional)
+     * @returns {object} - {success: boolean, entry: object, balance: number, error: string}
+     */
+    reverseCharge(borrowerId, amount, reason, details = {}) {
+        if (!reason || reason.trim().length === 0) {
+            return { success: false, error: 'A reason is required for a reversal' };
+        }
+
+        return this.addEntry(borrowerId, 'reversal', amount, { ...details, description: reason.trim() });
+    }
+
+    /**
+     * Check that a credit is positive and does not exceed the balance
+     * @param {string} borrowerId - Borrower ID
+     * @param {number} amount - Credit amount
+     * @returns {object} - {success: boolean, error: string}
+     */
+    checkCredit(borrowerId, amount) {
+        const value = this.roundAmount(amount);
+        const balance = this.getBalance(borrowerId);
+        if (balance <= 0) {
+            return { success: false, error: 'This borrower has no outstanding balance' };
+        }
+        if (value > balance) {
+            return { success: false, error: `Amount exceeds the outstanding balance of $${balance.toFixed(2)}` };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Append an entry to the ledger
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} type - 'charge', 'payment', 'waiver' or 'reversal'
+     * @param {number} amount - Positive amount
+     * @param {object} details - Extra entry fields
+     * @returns {object} - {success: boolean, entry: object, balance: number, error: string}
+     */
+    addEntry(borrowerId, type, amount, details = {}) {
+        const result = this.createEntry(borrowerId, type, amount, details);
+        if (!result.success) return result;
+
+        this.entries.push(result.entry);
+        this.saveEntries([result.entry]);
+
+        return { success: true, entry: result.entry, balance: this.getBalance(borrowerId) };
+    }
+
+    /**
+     * Validate and build an entry without adding it to the ledger
+     * @param {string} borrowerId - Borrower ID
+     * @param {string} type - 'charge', 'payment', 'waiver', 'reversal' or 'carried_over'
+     * @param {number} amount - Positive amount
+     * @param {object} details - Extra entry fields
+     * @returns {object} - {success: boolean, entry: object, error: string}
+     */
+    createEntry(borrowerId, type, amount, details = {}) {
+        const value = this.roundAmount(amount);
+        if (!borrowerId) {
+            return { success: false, error: 'Borrower is required' };
+        }
+        if (isNaN(value) || value <= 0) {
+            return { success: false, error: 'Amount must be greater than zero' };
+        }
+
+        const entry = {
+            id: Date.now().toString() + Math.random().toString(36).slice(2, 6),
+            borrowerId: borrowerId,
+            type: type,
+            amount: value,
+            category: details.category || null,
+            method: details.method || null,
+            receiptNumber: details.receiptNumber || null,
+            transactionId: details.transactionId || null,
+            bookId: details.bookId || null,
+            description: details.description ? Validator.sanitize(details.description) : '',
+            createdBy: details.createdBy || null,
+            createdAt: details.createdAt || new Date().toISOString()
+        };
+
+        return { success: true, entry: entry };
+    }
+
+    /**
+     * Round an amount to cents
+     * @param {number|string} amount - Amount
+     * @returns {number}
+     */
+    roundAmount(amount) {
+        return Math.round(parseFloat(amount) * 100) / 100;
+    }
+
+    /**
+     * Get the next receipt number (R-000001, R-000002, ...)
+     * @returns {string}
+     */
+    nextReceiptNumber() {
+        const last = this.entries
+            .filter(e => e.receiptNumber)
+            .reduce((max, e) => Math.max(max, parseInt(e.receiptNumber.slice(2)) || 0), 0);
+        return 'R-' + String(last + 1).padStart(6, '0');
+    }
+
+    /**
+     * Get a borrower's ledger, oldest first, with the running balance after each entry
+     * @param {string} borrowerId - Borrower ID
+     * @returns {array} - Array of entries with a `balance` field
+     */
+    getEntries(borrowerId) {
+        let balance = 0;
+        return this.entries
+            .filter(e => e.borrowerId === borrowerId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(e => {
+                balance = this.roundAmount(balance + (e.type === 'charge' ? e.amount : -e.amount));
+                return { ...e, balance: balance };
+            });
+    }
+
+    /**
+     * Get a ledger entry by ID
+     * @param {string} entryId - Entry ID
+     * @returns {object|null}
+     */
+    getEntry(entryId) {
+        return this.entries.find(e => e.id === entryId) || null;
+    }
+
+    /**
+     * Get the amount a borrower owes
+     * @param {string} borrowerId - Borrower ID
+     * @returns {number}
+     */
+    getBalance(borrowerId) {
+        return this.getTotals(borrowerId).outstanding;
+    }
+
+    /**
+     * Sum charges and credits, for one borrower or the whole library
+     * @param {string} borrowerId - Borrower ID (optional)
+     * @returns {object} - {assessed, paid, waived, reversed, carriedOver, outstanding}; a negative outstanding amount is a credit
+     */
+    getTotals(borrowerId = null) {
+        const totals = { assessed: 0, paid: 0, waived: 0, reversed: 0, carriedOver: 0, outstanding: 0 };
+
+        this.entries
+            .filter(e => !borrowerId || e.borrowerId === borrowerId)
+            .forEach(e => {
+                if (e.type === 'charge') totals.assessed += e.amount;
+                else if (e.type === 'payment') totals.paid += e.amount;
+                else if (e.type === 'waiver') totals.waived += e.amount;
+                else if (e.type === 'reversal') totals.reversed += e.amount;
+                else if (e.type === 'carried_over') totals.carriedOver += e.amount;
+            });
+
+        totals.assessed = this.roundAmount(totals.assessed);
+        totals.paid = this.roundAmount(totals.paid);
+        totals.waived = this.roundAmount(totals.waived);
+        totals.reversed = this.roundAmount(totals.reversed);
+        totals.carriedOver = this.roundAmount(totals.carriedOver);
+        totals.outstanding = this.roundAmount(totals.assessed - totals.paid - totals.waived - totals.reversed - totals.carriedOver);
+        return totals;
+    }
+
+    /**
+     * Carry over overdue fines on returned loans recorded before the ledger existed
+     * Nothing was ever recorded about whether those fines were paid, so each charge is posted
+     * together with a matching `carried_over` credit: the history shows the fine and nobody owes
+     * it again, but it does not count as money received.
+     * @param {array} transactions - Borrowing transactions
+     * @returns {number} - Number of fines carried over
+     */
+    importTransactionFines(transactions) {
+        const charged = new Set(this.entries.filter(e => e.type === 'charge' && e.transactionId).map(e => e.transactionId));
+        let count = 0;
+
+        transactions
+            .filter(t => t.status === 'Returned' && t.fineAmount > 0 && !charged.has(t.id))
+            .forEach(t => {
+                const details = { transactionId: t.id, bookId: t.bookId, createdAt: t.returnDate };
+                const charge = this.createEntry(t.borrowerId, 'charge', t.fineAmount, { ...details, category: 'overdue', description: 'Overdue fine' });
+                const settled = this.createEntry(t.borrowerId, 'carried_over', t.fineAmount, { ...details, description: 'Recorded before the fine ledger was introduced' });
+                if (!charge.success || !settled.success) return;
+
+                this.entries.push(charge.entry, settled.entry);
+                count++;
+            });
+
+        if (count > 0) this.saveEntries();
+        return count;
+    }
+
+    /**
+     * Save ledger to storage
+     * @param {array} appended - Entries just added to the end, when nothing else changed (optional)
+     */
+    saveEntries(appended = null) {
+        if (appended) {
+            LibraryStorage.append('fineLedger', appended);
+        } else {
+            LibraryStorage.set('fineLedger', this.entries);
+        }
+    }
+}
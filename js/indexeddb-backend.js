@@ -0,0 +1,131 @@
+/**
+ * IndexedDB Storage Backend
+ * One object store per collection holding a row per record, so saving a change writes only
+ * the records that changed. Small settings objects share a key-value store.
+ */
+
+class IndexedDBBackend {
+    constructor(databaseName = 'LibraryManagementSystem') {
+        this.name = 'indexedDB';
+        this.synchronous = false;
+        this.databaseName = databaseName;
+        this.db = null;
+    }
+
+    /**
+     * Check whether the browser offers IndexedDB
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating object stores on first use
+     * @param {array} collections - Collection names
+     * @returns {Promise<void>}
+     */
+    open(collections) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                collections.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'key' }).createIndex('seq', 'seq');
+                    }
+                });
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs this connection out of the way
+                this.db.onversionchange = () => this.db.close();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The library database is open in an older tab; close it and reload'));
+        });
+    }
+
+    /**
+     * Read every collection and value in one transaction
+     * A collection that has never been saved has no marker and loads as null.
+     * @param {array} collections - Collection names
+     * @returns {Promise<object>} - {collections: {name: rows|null}, values: {name: value}}
+     */
+    loadAll(collections) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([...collections, 'settings'], 'readonly');
+            const loaded = { collections: {}, values: {} };
+            const rows = {};
+
+            collections.forEach(name => {
+                tx.objectStore(name).index('seq').getAll().onsuccess = (e) => { rows[name] = e.target.result; };
+            });
+            tx.objectStore('settings').getAll().onsuccess = (e) => {
+                e.target.result.forEach(row => { loaded.values[row.key] = row.value; });
+            };
+
+            tx.oncomplete = () => {
+                collections.forEach(name => {
+                    loaded.collections[name] = loaded.values[`@collection:${name}`] ? rows[name] : null;
+                    delete loaded.values[`@collection:${name}`];
+                });
+                resolve(loaded);
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Apply changes in a single transaction, so related records are saved together or not at all
+     * @param {array} changes - Changes from LibraryStorage
+     * @returns {Promise<void>}
+     */
+    write(changes) {
+        const stores = [...new Set(changes.filter(c => c.collection).map(c => c.key)), 'settings'];
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, 'readwrite');
+            const settings = tx.objectStore('settings');
+
+            changes.forEach(change => {
+                if (!change.collection) {
+                    if (change.json === null) settings.delete(change.key);
+                    else settings.put({ key: change.key, value: JSON.parse(change.json) });
+                    return;
+                }
+
+                const store = tx.objectStore(change.key);
+                if (change.cleared) store.clear();
+                change.deletes.forEach(key => store.delete(key));
+                change.puts.forEach(row => store.put({ key: row.key, seq: row.seq, value: JSON.parse(row.json) }));
+
+                if (change.json === null) settings.delete(`@collection:${change.key}`);
+                else settings.put({ key: `@collection:${change.key}`, value: true });
+            });
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    /**
+     * Delete all stored data
+     * @param {array} keys - Collection names (settings are always cleared)
+     * @returns {Promise<void>}
+     */
+    clear(keys) {
+        const stores = [...keys.filter(key => this.db.objectStoreNames.contains(key)), 'settings'];
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, 'readwrite');
+            stores.forEach(name => tx.objectStore(name).clear());
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
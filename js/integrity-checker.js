@@ -0,0 +1,292 @@
+/**
+ * Data Integrity Checker
+ * Cross-checks copy statuses, loans, holds and the fine ledger, which are stored separately
+ * and can drift apart after a restore, an import or a manual edit
+ */
+
+class IntegrityChecker {
+    /**
+     * Issue types and whether they can be repaired automatically
+     */
+    static get ISSUE_TYPES() {
+        return {
+            loan_missing_book: { label: 'Loan for a deleted book', repairable: true },
+            loan_missing_copy: { label: 'Loan for a deleted copy', repairable: true },
+            loan_missing_borrower: { label: 'Loan for a deleted borrower', repairable: true },
+            duplicate_loan: { label: 'Copy on loan twice', repairable: true },
+            hold_missing_book: { label: 'Hold for a deleted book', repairable: true },
+            hold_missing_borrower: { label: 'Hold for a deleted borrower', repairable: true },
+            hold_copy_unavailable: { label: 'Hold shelf copy not on the shelf', repairable: true },
+            copy_status: { label: 'Copy status out of step', repairable: true },
+            title_status: { label: 'Title summary out of date', repairable: true },
+            duplicate_barcode: { label: 'Duplicate barcode', repairable: true },
+            ledger_missing_borrower: { label: 'Fine entry for a deleted borrower', repairable: false }
+        };
+    }
+
+    /**
+     * Scan for inconsistencies
+     * @param {array} books - All titles
+     * @param {object} borrowingSystem - BorrowingSystem instance
+     * @returns {array} - Array of issues {id, type, severity, message, fix, bookId, copyId, transactionId, holdId, borrowerId, expected}
+     */
+    static scan(books, borrowingSystem) {
+        const issues = [];
+        const add = (type, severity, message, fix, refs = {}) => {
+            const key = refs.transactionId || refs.holdId || refs.copyId || refs.bookId || refs.entryId || refs.borrowerId;
+            issues.push({
+                id: `${type}:${key}`,
+                type: type,
+                severity: severity,
+                message: message,
+                fix: fix,
+                bookId: refs.bookId || null,
+                copyId: refs.copyId || null,
+                transactionId: refs.transactionId || null,
+                holdId: refs.holdId || null,
+                borrowerId: refs.borrowerId || null,
+                expected: refs.expected || null
+            });
+        };
+        const bookTitle = (bookId) => {
+            const book = books.find(b => b.id === bookId);
+            return book ? `"${book.title}"` : 'a deleted book';
+        };
+
+        // Loans pointing at records that no longer exist
+        const activeLoans = borrowingSystem.transactions.filter(t => t.status === 'Active');
+        activeLoans.forEach(t => {
+            const refs = { transactionId: t.id, bookId: t.bookId, copyId: t.copyId, borrowerId: t.borrowerId };
+            const book = books.find(b => b.id === t.bookId);
+            if (!book) {
+                add('loan_missing_book', 'error', `Active loan ${t.id} is for a book that no longer exists`, 'Close the loan', refs);
+            } else if (t.copyId && !Catalog.findCopy(books, t.copyId)) {
+                add('loan_missing_copy', 'error', `Active loan of ${bookTitle(t.bookId)} is for copy ${t.barcode || t.copyId}, which no longer exists`, 'Close the loan', refs);
+            }
+            if (!borrowingSystem.getBorrower(t.borrowerId)) {
+                add('loan_missing_borrower', 'error', `Active loan of ${bookTitle(t.bookId)} is to a borrower who no longer exists`, 'Close the loan and free the copy', refs);
+            }
+        });
+
+        // A copy can only be on one active loan; the newest is kept
+        const loansByCopy = {};
+        activeLoans.filter(t => t.copyId).forEach(t => {
+            (loansByCopy[t.copyId] = loansByCopy[t.copyId] || []).push(t);
+        });
+        Object.values(loansByCopy).filter(loans => loans.length > 1).forEach(loans => {
+            loans
+                .sort((a, b) => new Date(b.checkoutDate) - new Date(a.checkoutDate))
+                .slice(1)
+                .forEach(t => {
+                    add('duplicate_loan', 'error', `Copy ${t.barcode || t.copyId} of ${bookTitle(t.bookId)} is on ${loans.length} active loans; this one is older`,
+                        'Close the older loan', { transactionId: t.id, bookId: t.bookId, copyId: t.copyId, borrowerId: t.borrowerId });
+                });
+        });
+
+        // Holds pointing at records that no longer exist, or at a copy that is not on the hold shelf
+        borrowingSystem.getOpenHolds().forEach(h => {
+            const refs = { holdId: h.id, bookId: h.bookId, copyId: h.copyId, borrowerId: h.borrowerId };
+            if (!books.some(b => b.id === h.bookId)) {
+                add('hold_missing_book', 'warning', `Open hold ${h.id} is for a book that no longer exists`, 'Cancel the hold', refs);
+            } else if (!borrowingSystem.getBorrower(h.borrowerId)) {
+                add('hold_missing_borrower', 'warning', `Open hold on ${bookTitle(h.bookId)} is for a borrower who no longer exists`, 'Cancel the hold', refs);
+            } else if (h.status === 'Ready') {
+                const found = h.copyId ? Catalog.findCopy(books, h.copyId) : null;
+                if (!found || found.copy.status === 'Lost' || borrowingSystem.getActiveTransactionForCopy(h.copyId)) {
+                    add('hold_copy_unavailable', 'warning', `Hold on ${bookTitle(h.bookId)} is marked ready, but its copy is ${found ? (found.copy.status === 'Lost' ? 'lost' : 'on loan') : 'missing'}`,
+                        'Put the hold back in the queue', refs);
+                }
+            }
+        });
+
+        // Copy statuses against loans and the hold shelf
+        books.forEach(book => {
+            (book.copies || []).forEach(copy => {
+                const expected = this.expectedCopyStatus(copy, borrowingSystem);
+                if (expected !== copy.status) {
+                    add('copy_status', 'error', `Copy ${copy.barcode} of "${book.title}" is ${copy.status} but should be ${expected}`,
+                        `Set the copy to ${expected}`, { bookId: book.id, copyId: copy.id, expected: expected });
+                }
+            });
+
+            const summary = Catalog.refreshTitle({ ...book }).status;
+            if ((book.copies || []).length > 0 && summary !== book.status) {
+                add('title_status', 'warning', `"${book.title}" shows ${book.status} but its copies make it ${summary}`,
+                    'Recompute the title status', { bookId: book.id, expected: summary });
+            }
+        });
+
+        // Barcodes must be unique; the first copy keeps its barcode
+        const seen = {};
+        books.forEach(book => {
+            (book.copies || []).forEach(copy => {
+                const key = (copy.barcode || '').toLowerCase();
+                if (!key) return;
+                if (seen[key]) {
+                    add('duplicate_barcode', 'error', `Copy of "${book.title}" has barcode ${copy.barcode}, already used by a copy of "${seen[key]}"`,
+                        'Give this copy a new barcode', { bookId: book.id, copyId: copy.id });
+                } else {
+                    seen[key] = book.title;
+                }
+            });
+        });
+
+        // Ledger entries cannot be moved automatically: money needs a person to decide where it goes
+        const orphaned = new Set(borrowingSystem.fineLedger.entries
+            .map(e => e.borrowerId)
+            .filter(id => !borrowingSystem.getBorrower(id)));
+        orphaned.forEach(borrowerId => {
+            const balance = borrowingSystem.fineLedger.getBalance(borrowerId);
+            add('ledger_missing_borrower', 'warning', `Fine ledger has entries for deleted borrower ${borrowerId} (balance $${balance.toFixed(2)})`,
+                null, { borrowerId: borrowerId });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Work out what a copy's status should be from loans and holds
+     * @param {object} copy - Copy
+     * @param {object} borrowingSystem - BorrowingSystem instance
+     * @returns {string} - Expected status
+     */
+    static expectedCopyStatus(copy, borrowingSystem) {
+        if (borrowingSystem.getActiveTransactionForCopy(copy.id)) return 'Borrowed';
+        if (copy.status === 'Lost') return 'Lost';
+        if (borrowingSystem.holds.some(h => h.status === 'Ready' && h.copyId === copy.id)) return 'Reserved';
+        return 'Available';
+    }
+
+    /**
+     * Repair one issue
+     * Loans and holds are saved here; the caller saves books.
+     * @param {array} books - All titles (modified in place)
+     * @param {object} borrowingSystem - BorrowingSystem instance
+     * @param {object} issue - Issue from scan()
+     * @returns {object} - {success: boolean, issue: object, changes: object, error: string}
+     */
+    static repair(books, borrowingSystem, issue) {
+        const info = this.ISSUE_TYPES[issue.type];
+        if (!info || !info.repairable) {
+            return { success: false, error: 'This issue has to be resolved by hand' };
+        }
+
+        const now = new Date().toISOString();
+        let changes;
+
+        switch (issue.type) {
+            case 'loan_missing_book':
+            case 'loan_missing_copy':
+            case 'loan_missing_borrower':
+            case 'duplicate_loan': {
+                const transaction = borrowingSystem.transactions.find(t => t.id === issue.transactionId);
+                if (!transaction || transaction.status !== 'Active') {
+                    return { success: false, error: 'Loan is no longer active' };
+                }
+                transaction.status = 'Returned';
+                transaction.returnDate = now;
+                transaction.closedByRepair = { at: now, reason: this.ISSUE_TYPES[issue.type].label };
+                borrowingSystem.saveTransactions();
+                changes = { transactionId: transaction.id, status: { old: 'Active', new: 'Returned' } };
+
+                const found = transaction.copyId ? Catalog.findCopy(books, transaction.copyId) : null;
+                if (found) {
+                    const status = this.expectedCopyStatus(found.copy, borrowingSystem);
+                    changes.copyStatus = { old: found.copy.status, new: status };
+                    found.copy.status = status;
+                    Catalog.refreshTitle(found.book);
+                }
+                break;
+            }
+            case 'hold_missing_book':
+            case 'hold_missing_borrower': {
+                const result = borrowingSystem.cancelHold(issue.holdId);
+                if (!result.success) return result;
+                const hold = result.hold;
+                changes = { holdId: hold.id, status: 'Cancelled', nextHoldId: result.nextHold ? result.nextHold.id : null };
+
+                // A shelved copy either passes to the next patron or goes back on the shelf
+                const found = hold.copyId ? Catalog.findCopy(books, hold.copyId) : null;
+                if (found) {
+                    found.copy.status = this.expectedCopyStatus(found.copy, borrowingSystem);
+                    Catalog.refreshTitle(found.book);
+                }
+                break;
+            }
+            case 'hold_copy_unavailable': {
+                const hold = borrowingSystem.holds.find(h => h.id === issue.holdId);
+                if (!hold || hold.status !== 'Ready') {
+                    return { success: false, error: 'Hold is no longer on the hold shelf' };
+                }
+                changes = { holdId: hold.id, copyId: hold.copyId, status: { old: 'Ready', new: 'Waiting' } };
+                hold.status = 'Waiting';
+                hold.copyId = null;
+                hold.readyAt = null;
+                hold.expiresAt = null;
+                borrowingSystem.saveHolds();
+                break;
+            }
+            case 'copy_status': {
+                const found = Catalog.findCopy(books, issue.copyId);
+                if (!found) {
+                    return { success: false, error: 'Copy not found' };
+                }
+                const status = this.expectedCopyStatus(found.copy, borrowingSystem);
+                changes = { copyId: found.copy.id, status: { old: found.copy.status, new: status } };
+                found.copy.status = status;
+                Catalog.refreshTitle(found.book);
+                break;
+            }
+            case 'title_status': {
+                const book = books.find(b => b.id === issue.bookId);
+                if (!book) {
+                    return { success: false, error: 'Book not found' };
+                }
+                const oldStatus = book.status;
+                Catalog.refreshTitle(book);
+                changes = { status: { old: oldStatus, new: book.status } };
+                break;
+            }
+            case 'duplicate_barcode': {
+                const found = Catalog.findCopy(books, issue.copyId);
+                if (!found) {
+                    return { success: false, error: 'Copy not found' };
+                }
+                const barcode = Catalog.nextBarcode(books);
+                changes = { copyId: found.copy.id, barcode: { old: found.copy.barcode, new: barcode } };
+                found.copy.barcode = barcode;
+
+                // Loans and holds carry the barcode for display
+                borrowingSystem.transactions
+                    .filter(t => t.copyId === found.copy.id)
+                    .forEach(t => { t.barcode = barcode; });
+                borrowingSystem.saveTransactions();
+                break;
+            }
+        }
+
+        return { success: true, issue: issue, changes: changes };
+    }
+
+    /**
+     * Repair every repairable issue, rescanning until nothing more can be fixed
+     * Fixes can expose new issues (closing a loan frees its copy), hence the passes.
+     * @param {array} books - All titles (modified in place)
+     * @param {object} borrowingSystem - BorrowingSystem instance
+     * @returns {object} - {repaired: array of {issue, changes}, remaining: array of issues}
+     */
+    static repairAll(books, borrowingSystem) {
+        const repaired = [];
+        for (let pass = 0; pass < 5; pass++) {
+            const fixable = this.scan(books, borrowingSystem).filter(issue => this.ISSUE_TYPES[issue.type].repairable);
+            if (fixable.length === 0) break;
+
+            fixable.forEach(issue => {
+                const result = this.repair(books, borrowingSystem, issue);
+                if (result.success) repaired.push({ issue: issue, changes: result.changes });
+            });
+        }
+
+        return { repaired: repaired, remaining: this.scan(books, borrowingSystem) };
+    }
+}
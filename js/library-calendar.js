@@ -0,0 +1,165 @@
+/**
+ * Library Opening Calendar
+ * Weekly opening days and dated closures, used to set due dates and count fine days
+ */
+
+class LibraryCalendar {
+    constructor() {
+        const stored = LibraryStorage.get('libraryCalendar') || {};
+        this.openDays = stored.openDays || [1, 2, 3, 4, 5, 6]; // 0 = Sunday ... 6 = Saturday
+        this.closures = stored.closures || [];
+        this.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    }
+
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     * @param {Date|string} date - Date
+     * @returns {string}
+     */
+    toDateKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Check whether the library is open on a date
+     * @param {Date|string} date - Date
+     * @returns {boolean}
+     */
+    isOpen(date) {
+        const d = new Date(date);
+        if (!this.openDays.includes(d.getDay())) return false;
+        return !this.getClosure(d);
+    }
+
+    /**
+     * Get the closure covering a date, if any
+     * @param {Date|string} date - Date
+     * @returns {object|null} - Closure or null
+     */
+    getClosure(date) {
+        const key = this.toDateKey(date);
+        return this.closures.find(c => c.startDate <= key && key <= c.endDate) || null;
+    }
+
+    /**
+     * Move a date forward to the next day the library is open (keeping the time of day)
+     * @param {Date|string} date - Date
+     * @returns {Date} - The same date if open, otherwise the next open day
+     */
+    nextOpenDay(date) {
+        const d = new Date(date);
+        // A year ahead is a safe bound even with long closures
+        for (let i = 0; i < 366 && !this.isOpen(d); i++) {
+            d.setDate(d.getDate() + 1);
+        }
+        return d;
+    }
+
+    /**
+     * Count open days after one date, up to and including another
+     * @param {Date|string} from - Start date (exclusive)
+     * @param {Date|string} to - End date (inclusive)
+     * @returns {number}
+     */
+    countOpenDays(from, to) {
+        const day = new Date(from);
+        day.setHours(12, 0, 0, 0);
+        const endKey = this.toDateKey(to);
+        let count = 0;
+
+        day.setDate(day.getDate() + 1);
+        while (this.toDateKey(day) <= endKey) {
+            if (this.isOpen(day)) count++;
+            day.setDate(day.getDate() + 1);
+        }
+        return count;
+    }
+
+    /**
+     * Set the weekly opening days
+     * @param {array} days - Day numbers (0 = Sunday ... 6 = Saturday)
+     * @returns {object} - {success: boolean, openDays: array, error: string}
+     */
+    setOpenDays(days) {
+        const openDays = [...new Set(days.map(d => parseInt(d)))].filter(d => d >= 0 && d <= 6).sort((a, b) => a - b);
+        if (openDays.length === 0) {
+            return { success: false, error: 'The library must be open at least one day a week' };
+        }
+
+        this.openDays = openDays;
+        this.saveCalendar();
+
+        return { success: true, openDays: openDays };
+    }
+
+    /**
+     * Add a dated closure (holiday, renovation, emergency)
+     * @param {string} startDate - First closed day (YYYY-MM-DD)
+     * @param {string} endDate - Last closed day (YYYY-MM-DD, defaults to the start date)
+     * @param {string} reason - Reason for the closure
+     * @returns {object} - {success: boolean, closure: object, error: string}
+     */
+    addClosure(startDate, endDate, reason) {
+        const end = endDate || startDate;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+            return { success: false, error: 'Closure dates must be valid dates' };
+        }
+        if (end < startDate) {
+            return { success: false, error: 'Closure cannot end before it starts' };
+        }
+        if (!reason || reason.trim().length === 0) {
+            return { success: false, error: 'A reason is required for a closure' };
+        }
+
+        const closure = {
+            id: 'closure-' + Date.now().toString(),
+            startDate: startDate,
+            endDate: end,
+            reason: Validator.sanitize(reason.trim()),
+            createdAt: new Date().toISOString()
+        };
+        this.closures.push(closure);
+        this.closures.sort((a, b) => a.startDate.localeCompare(b.startDate));
+        this.saveCalendar();
+
+        return { success: true, closure: closure };
+    }
+
+    /**
+     * Remove a closure
+     * @param {string} closureId - Closure ID
+     * @returns {object} - {success: boolean, closure: object, error: string}
+     */
+    removeClosure(closureId) {
+        const closure = this.closures.find(c => c.id === closureId);
+        if (!closure) {
+            return { success: false, error: 'Closure not found' };
+        }
+
+        this.closures = this.closures.filter(c => c.id !== closureId);
+        this.saveCalendar();
+
+        return { success: true, closure: closure };
+    }
+
+    /**
+     * Get closures, optionally only those not yet over
+     * @param {boolean} upcomingOnly - Hide closures that have ended
+     * @returns {array} - Array of closures
+     */
+    getClosures(upcomingOnly = false) {
+        const today = this.toDateKey(new Date());
+        return this.closures.filter(c => !upcomingOnly || c.endDate >= today);
+    }
+
+    /**
+     * Save calendar to storage
+     */
+    saveCalendar() {
+        LibraryStorage.set('libraryCalendar', {
+            openDays: this.openDays,
+            closures: this.closures
+        });
+    }
+}
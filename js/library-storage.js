@@ -0,0 +1,524 @@
+/**
+ * Library Storage
+ * One place for modules to load and save their data, over a pluggable backend
+ * (IndexedDB where available, localStorage otherwise).
+ *
+ * Modules keep working on in-memory arrays and read synchronously after init(); each save
+ * is diffed against what is stored so the backend only writes records that changed, and
+ * append-only logs can add records without the rest of the collection being compared.
+ * Before init() (or in environments without a backend) calls go straight to localStorage.
+ *
+ * Login sessions and lockout counters are per-browser state shared between tabs and stay in
+ * localStorage; they are not managed here.
+ */
+
+class LibraryStorage {
+    /**
+     * Collections: arrays of records, saved per record
+     */
+    static get COLLECTIONS() {
+        return [
+            'libraryBooks', 'borrowers', 'transactions', 'holds', 'fineLedger', 'circulationRules',
+            'noticeOutbox', 'auditLogs', 'auditArchives', 'users', 'roles'
+        ];
+    }
+
+    /**
+     * Values: small settings objects, saved whole
+     */
+    static get VALUES() {
+        return [
+            'borrowingSettings', 'libraryCalendar', 'noticeSettings', 'auditRetentionPolicy', 'auditChain',
+            'passwordPolicy', 'sessionSettings'
+        ];
+    }
+
+    /**
+     * Open the storage backend, move existing localStorage data into IndexedDB the first time,
+     * and load everything into memory
+     * @param {object} backend - Backend to use (optional; IndexedDB when available)
+     * @returns {Promise<object>} - {backend: string, migrated: object|null, fallback: string|null};
+     *   `migrated` counts records moved on first run, `fallback` says why IndexedDB was not used
+     */
+    static async init(backend = null) {
+        let selected = backend || (IndexedDBBackend.isAvailable() ? new IndexedDBBackend() : new LocalStorageBackend());
+        let loaded;
+        let migrated = null;
+        let fallback = null;
+        try {
+            await selected.open(this.COLLECTIONS);
+            loaded = await selected.loadAll(this.COLLECTIONS, this.VALUES);
+            if (!selected.synchronous && !loaded.values['@migrated']) {
+                migrated = await this.migrateFromLocalStorage(selected, loaded);
+                loaded = await selected.loadAll(this.COLLECTIONS, this.VALUES);
+            }
+        } catch (e) {
+            if (selected.synchronous) throw e;
+            // Private browsing modes may refuse IndexedDB, or an upgrade may be blocked by another tab;
+            // the library still works from localStorage, which the migration only clears once it succeeds
+            console.error('Falling back to localStorage:', e);
+            fallback = e && e.message ? e.message : String(e);
+            selected = new LocalStorageBackend();
+            migrated = null;
+            loaded = await selected.loadAll(this.COLLECTIONS, this.VALUES);
+        }
+
+        this.backend = selected;
+        this.queue = Promise.resolve();
+        this.queued = 0;
+        this.writeFailure = null;
+        this.pending = null;
+        this.snapshot = null;
+        this.loadState(loaded);
+
+        return { backend: selected.name, migrated: migrated, fallback: fallback };
+    }
+
+    /**
+     * Replace the in-memory state with what a backend holds
+     * @param {object} loaded - Result of the backend's loadAll()
+     */
+    static loadState(loaded) {
+        this.collections = {};
+        this.values = {};
+        this.COLLECTIONS.forEach(name => this.loadCollection(name, loaded.collections[name]));
+        this.VALUES.forEach(name => {
+            if (loaded.values[name] !== undefined) this.values[name] = JSON.stringify(loaded.values[name]);
+        });
+    }
+
+    /**
+     * Copy every collection and value from localStorage into a new backend, then free the localStorage keys
+     * Keys the backend already holds are left alone.
+     * @param {object} backend - Opened backend
+     * @param {object} loaded - What the backend already holds
+     * @returns {Promise<object>} - Records moved per collection, and the settings moved
+     */
+    static async migrateFromLocalStorage(backend, loaded) {
+        const legacy = await new LocalStorageBackend().loadAll(this.COLLECTIONS, this.VALUES);
+        const changes = [];
+        const counts = {};
+
+        this.COLLECTIONS.forEach(name => {
+            const rows = legacy.collections[name];
+            if (!rows || loaded.collections[name]) return;
+            changes.push(this.collectionChange(name, rows, [], false));
+            counts[name] = rows.length;
+        });
+        const settings = this.VALUES.filter(name => legacy.values[name] !== undefined && loaded.values[name] === undefined);
+        settings.forEach(name => {
+            changes.push({ key: name, collection: false, json: JSON.stringify(legacy.values[name]) });
+        });
+
+        const migrated = { at: new Date().toISOString(), counts: counts, settings: settings };
+        changes.push({ key: '@migrated', collection: false, json: JSON.stringify(migrated) });
+        await backend.write(changes);
+
+        // Only once the data is safely in IndexedDB
+        [...Object.keys(counts), ...settings].forEach(name => localStorage.removeItem(name));
+        return migrated;
+    }
+
+    /**
+     * Turn a record array into rows with stable keys and ascending sequence numbers
+     * Records are keyed by `id` (or `name`); repeated or missing keys get an occurrence suffix
+     * so that no record is lost.
+     * @param {array} records - Records
+     * @returns {array} - Array of {key, seq, json}
+     */
+    static toRows(records) {
+        const seen = {};
+        return records.map((record, index) => {
+            const base = this.recordKey(record);
+            seen[base] = (seen[base] || 0) + 1;
+            return {
+                key: this.occurrenceKey(base, seen[base]),
+                seq: index + 1,
+                json: JSON.stringify(record)
+            };
+        });
+    }
+
+    /**
+     * Key a record is stored under: its `id`, else its `name`
+     * @param {object} record - Record
+     * @returns {string}
+     */
+    static recordKey(record) {
+        return String(record && (record.id !== undefined ? record.id : record.name !== undefined ? record.name : ''));
+    }
+
+    /**
+     * Row key for the nth record sharing a key
+     * @param {string} base - Record key
+     * @param {number} occurrence - 1 for the first record with that key
+     * @returns {string}
+     */
+    static occurrenceKey(base, occurrence) {
+        return occurrence === 1 && base !== '' ? base : `${base}#${occurrence}`;
+    }
+
+    /**
+     * Hold a loaded collection in memory
+     * @param {string} name - Collection name
+     * @param {array|null} rows - Stored rows in order, or null if never saved
+     */
+    static loadCollection(name, rows) {
+        if (!rows) {
+            this.collections[name] = null;
+            return;
+        }
+
+        const state = { rows: new Map(), lastSeq: 0 };
+        rows.forEach(row => {
+            const json = row.json !== undefined ? row.json : JSON.stringify(row.value);
+            state.rows.set(row.key, { seq: row.seq, json: json });
+            state.lastSeq = Math.max(state.lastSeq, row.seq);
+        });
+        this.collections[name] = state;
+    }
+
+    /**
+     * Build a change for the backend
+     * @param {string} name - Collection name
+     * @param {array} puts - Rows to write
+     * @param {array} deletes - Keys to delete
+     * @param {boolean} cleared - Empty the store first
+     * @param {string} json - Whole collection as JSON (for backends that store it whole)
+     * @returns {object}
+     */
+    static collectionChange(name, puts, deletes, cleared, json = null) {
+        return {
+            key: name,
+            collection: true,
+            json: json !== null ? json : '[' + puts.map(row => row.json).join(',') + ']',
+            cleared: cleared,
+            puts: puts,
+            deletes: deletes
+        };
+    }
+
+    /**
+     * Read a collection or value
+     * @param {string} key - Collection or value name
+     * @returns {*} - A fresh copy, or null if nothing is stored
+     */
+    static get(key) {
+        if (!this.backend || !this.isManaged(key)) {
+            return JSON.parse(localStorage.getItem(key));
+        }
+
+        if (this.COLLECTIONS.includes(key)) {
+            const state = this.collections[key];
+            return state ? JSON.parse('[' + [...state.rows.values()].map(row => row.json).join(',') + ']') : null;
+        }
+        return this.values[key] !== undefined ? JSON.parse(this.values[key]) : null;
+    }
+
+    /**
+     * Check whether anything is stored under a key
+     * @param {string} key - Collection or value name
+     * @returns {boolean}
+     */
+    static has(key) {
+        if (!this.backend || !this.isManaged(key)) {
+            return localStorage.getItem(key) !== null;
+        }
+        return this.COLLECTIONS.includes(key) ? !!this.collections[key] : this.values[key] !== undefined;
+    }
+
+    /**
+     * Save a collection or value
+     * Collections are compared with what is stored and only changed records are written.
+     * @param {string} key - Collection or value name
+     * @param {*} value - Array of records, or a settings object
+     */
+    static set(key, value) {
+        if (!this.backend || !this.isManaged(key)) {
+            localStorage.setItem(key, JSON.stringify(value));
+            return;
+        }
+
+        if (!this.COLLECTIONS.includes(key)) {
+            const json = JSON.stringify(value);
+            this.apply({ key: key, collection: false, json: json }, () => { this.values[key] = json; });
+            return;
+        }
+
+        const state = this.collections[key] || { rows: new Map(), lastSeq: 0 };
+        const rows = this.toRows(value);
+        const nextRows = new Map();
+        const puts = [];
+        let lastSeq = state.lastSeq;
+        let previousSeq = 0;
+        let inOrder = true;
+
+        rows.forEach(row => {
+            const stored = state.rows.get(row.key);
+            row.seq = stored ? stored.seq : ++lastSeq;
+            if (row.seq <= previousSeq) inOrder = false;
+            previousSeq = row.seq;
+            if (!stored || stored.json !== row.json) puts.push(row);
+            nextRows.set(row.key, { seq: row.seq, json: row.json });
+        });
+        const deletes = [...state.rows.keys()].filter(rowKey => !nextRows.has(rowKey));
+
+        let change;
+        if (inOrder) {
+            change = this.collectionChange(key, puts, deletes, false, '[' + rows.map(row => row.json).join(',') + ']');
+        } else {
+            // Records were reordered: renumber them all so they load back in the same order
+            rows.forEach((row, index) => {
+                row.seq = index + 1;
+                nextRows.get(row.key).seq = row.seq;
+            });
+            lastSeq = rows.length;
+            change = this.collectionChange(key, rows, [], true);
+        }
+
+        this.apply(change, () => { this.collections[key] = { rows: nextRows, lastSeq: lastSeq }; });
+    }
+
+    /**
+     * Add records to the end of a collection without comparing the records already stored
+     * Meant for append-only logs such as the audit trail and the fine ledger.
+     * @param {string} key - Collection name
+     * @param {array} records - New records, in order
+     */
+    static append(key, records) {
+        if (!this.backend || !this.COLLECTIONS.includes(key)) {
+            this.set(key, [...(this.get(key) || []), ...records]);
+            return;
+        }
+
+        const state = this.collections[key] || { rows: new Map(), lastSeq: 0 };
+        const nextRows = new Map(state.rows);
+        let lastSeq = state.lastSeq;
+        const puts = records.map(record => {
+            const base = this.recordKey(record);
+            let occurrence = 1;
+            // Same keys as toRows() would give a repeated id, so a later full save matches them up
+            while (nextRows.has(this.occurrenceKey(base, occurrence))) occurrence++;
+            const rowKey = this.occurrenceKey(base, occurrence);
+            const row = { key: rowKey, seq: ++lastSeq, json: JSON.stringify(record) };
+            nextRows.set(row.key, { seq: row.seq, json: row.json });
+            return row;
+        });
+
+        // Backends that store a collection whole still need all of it
+        const json = this.backend.synchronous ? '[' + [...nextRows.values()].map(row => row.json).join(',') + ']' : null;
+        const change = this.collectionChange(key, puts, [], false, json);
+        this.apply(change, () => { this.collections[key] = { rows: nextRows, lastSeq: lastSeq }; });
+    }
+
+    /**
+     * Delete a collection or value
+     * @param {string} key - Collection or value name
+     */
+    static remove(key) {
+        if (!this.backend || !this.isManaged(key)) {
+            localStorage.removeItem(key);
+            return;
+        }
+
+        if (this.COLLECTIONS.includes(key)) {
+            const change = this.collectionChange(key, [], [], true);
+            change.json = null;
+            this.apply(change, () => { this.collections[key] = null; });
+        } else {
+            this.apply({ key: key, collection: false, json: null }, () => { delete this.values[key]; });
+        }
+    }
+
+    /**
+     * Save several changes as one unit, e.g. a checkout touching books and loans
+     * Writes made inside `fn` reach the backend in a single transaction when it returns.
+     * If `fn` throws, or a synchronous backend refuses the write (e.g. a full quota), nothing is
+     * saved, what this layer holds is put back as it was and the error is rethrown; callers should
+     * then reload their own arrays with get(). Nested batches join the outer one.
+     * @param {function} fn - Function making the changes
+     * @returns {*} - Whatever `fn` returns
+     */
+    static batch(fn) {
+        if (!this.backend || this.pending) return fn();
+
+        this.pending = [];
+        this.snapshot = new Map();
+        let result;
+        try {
+            result = fn();
+            const changes = this.mergeChanges(this.pending);
+            this.pending = null;
+            if (changes.length > 0) this.commit(changes);
+        } catch (e) {
+            this.pending = null;
+            this.rollback();
+            throw e;
+        } finally {
+            this.snapshot = null;
+        }
+        return result;
+    }
+
+    /**
+     * Put back the in-memory state saved before the current batch changed it
+     */
+    static rollback() {
+        this.snapshot.forEach((previous, key) => {
+            if (this.COLLECTIONS.includes(key)) {
+                this.collections[key] = previous;
+            } else if (previous === undefined) {
+                delete this.values[key];
+            } else {
+                this.values[key] = previous;
+            }
+        });
+    }
+
+    /**
+     * Record a change and update the in-memory state
+     * Synchronous backends write first so a failure (e.g. a full quota) leaves memory untouched and reaches the caller.
+     * Inside a batch the state before the first change to each key is kept so the batch can be undone.
+     * @param {object} change - Change
+     * @param {function} update - Applies the change in memory
+     */
+    static apply(change, update) {
+        if (this.pending) {
+            if (!this.snapshot.has(change.key)) {
+                // State objects are replaced rather than modified, so holding the old one is enough
+                this.snapshot.set(change.key, change.collection ? this.collections[change.key] : this.values[change.key]);
+            }
+            this.pending.push(change);
+            update();
+        } else if (this.backend.synchronous) {
+            this.backend.write([change]);
+            update();
+        } else {
+            update();
+            this.commit([change]);
+        }
+    }
+
+    /**
+     * Fold a batch into one change per key
+     * @param {array} changes - Changes in the order they were made
+     * @returns {array}
+     */
+    static mergeChanges(changes) {
+        const merged = new Map();
+        changes.forEach(change => {
+            const current = merged.get(change.key);
+            if (!change.collection || !current || change.cleared) {
+                merged.set(change.key, { ...change, puts: [...(change.puts || [])], deletes: [...(change.deletes || [])] });
+                return;
+            }
+
+            const puts = new Map(current.puts.map(row => [row.key, row]));
+            const deletes = new Set(current.deletes);
+            change.deletes.forEach(rowKey => { puts.delete(rowKey); deletes.add(rowKey); });
+            change.puts.forEach(row => { deletes.delete(row.key); puts.set(row.key, row); });
+            merged.set(change.key, { ...current, json: change.json, puts: [...puts.values()], deletes: [...deletes] });
+        });
+        return [...merged.values()];
+    }
+
+    /**
+     * Send changes to the backend
+     * Asynchronous writes are queued so they land in the order they were made. Once one fails,
+     * the writes queued behind it were worked out from changes that never landed, so they are
+     * dropped too; when the queue empties, memory is reloaded from the backend and onError is called.
+     * @param {array} changes - Changes
+     */
+    static commit(changes) {
+        if (this.backend.synchronous) {
+            this.backend.write(changes);
+            return;
+        }
+
+        this.queued++;
+        this.queue = this.queue
+            .then(() => (this.writeFailure ? null : this.backend.write(changes)))
+            .catch(e => {
+                console.error('Failed to save library data:', e);
+                if (!this.writeFailure) this.writeFailure = e;
+            })
+            .then(() => {
+                this.queued--;
+                if (this.queued === 0 && this.writeFailure) return this.recover();
+                return null;
+            });
+    }
+
+    /**
+     * Make memory match the backend again after a failed write, then report the failure
+     * @returns {Promise<void>}
+     */
+    static async recover() {
+        const error = this.writeFailure;
+        try {
+            this.loadState(await this.backend.loadAll(this.COLLECTIONS, this.VALUES));
+        } catch (e) {
+            console.error('Failed to reload library data:', e);
+        }
+        this.writeFailure = null;
+        if (typeof this.onError === 'function') this.onError(error);
+    }
+
+    /**
+     * Wait for queued writes to reach the backend
+     * @returns {Promise<void>}
+     */
+    static flush() {
+        return this.queue || Promise.resolve();
+    }
+
+    /**
+     * Delete everything this layer manages
+     * @returns {Promise<void>}
+     */
+    static async clear() {
+        const keys = [...this.COLLECTIONS, ...this.VALUES];
+        if (!this.backend) {
+            keys.forEach(key => localStorage.removeItem(key));
+            return;
+        }
+
+        await this.flush();
+        await this.backend.clear(keys);
+        this.COLLECTIONS.forEach(name => { this.collections[name] = null; });
+        this.values = {};
+    }
+
+    /**
+     * Approximate stored size of some keys, in characters of JSON
+     * @param {array} keys - Collection or value names
+     * @returns {number}
+     */
+    static size(keys) {
+        return keys.reduce((total, key) => {
+            if (!this.backend || !this.isManaged(key)) return total + (localStorage.getItem(key) || '').length;
+            if (this.COLLECTIONS.includes(key)) {
+                const state = this.collections[key];
+                return total + (state ? [...state.rows.values()].reduce((sum, row) => sum + row.json.length, 0) : 0);
+            }
+            return total + (this.values[key] || '').length;
+        }, 0);
+    }
+
+    /**
+     * Name of the active backend
+     * @returns {string}
+     */
+    static getBackendName() {
+        return this.backend ? this.backend.name : 'localStorage';
+    }
+
+    /**
+     * Check whether a key is handled by this layer rather than plain localStorage
+     * @param {string} key - Key
+     * @returns {boolean}
+     */
+    static isManaged(key) {
+        return this.COLLECTIONS.includes(key) || this.VALUES.includes(key);
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * localStorage Storage Backend
+ * Keeps each collection as one JSON array under its own key, the format the library has always used.
+ * Writes are synchronous, so a full quota surfaces as an exception to the caller.
+ */
+
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+        this.synchronous = true;
+    }
+
+    /**
+     * Open the backend
+     * @returns {Promise<void>}
+     */
+    open() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Read every collection and value
+     * @param {array} collections - Collection names
+     * @param {array} values - Value names
+     * @returns {Promise<object>} - {collections: {name: rows|null}, values: {name: value}}
+     */
+    loadAll(collections, values) {
+        const loaded = { collections: {}, values: {} };
+        collections.forEach(name => {
+            const stored = JSON.parse(localStorage.getItem(name));
+            loaded.collections[name] = Array.isArray(stored) ? LibraryStorage.toRows(stored) : null;
+        });
+        values.forEach(name => {
+            const stored = localStorage.getItem(name);
+            if (stored !== null) loaded.values[name] = JSON.parse(stored);
+        });
+        return Promise.resolve(loaded);
+    }
+
+    /**
+     * Apply changes; each collection is rewritten whole
+     * All or nothing: if one key cannot be written, the keys already written are put back and the error is thrown.
+     * @param {array} changes - Changes from LibraryStorage
+     * @returns {Promise<void>}
+     */
+    write(changes) {
+        const previous = changes.map(change => [change.key, localStorage.getItem(change.key)]);
+        try {
+            changes.forEach(change => {
+                if (change.json === null) {
+                    localStorage.removeItem(change.key);
+                } else {
+                    localStorage.setItem(change.key, change.json);
+                }
+            });
+        } catch (e) {
+            // Clear first so putting the old values back never needs more room than they had
+            previous.forEach(([key]) => localStorage.removeItem(key));
+            previous.forEach(([key, json]) => {
+                if (json !== null) localStorage.setItem(key, json);
+            });
+            throw e;
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Delete the given keys
+     * @param {array} keys - Collection and value names
+     * @returns {Promise<void>}
+     */
+    clear(keys) {
+        keys.forEach(key => localStorage.removeItem(key));
+        return Promise.resolve();
+    }
+}
@@ -0,0 +1,466 @@
+/**
+ * Overdue Notices
+ * Courtesy, overdue and final notices generated on an escalation schedule into a local outbox,
+ * delivered as printed letters, .eml files, mailto links or through a registered sender
+ */
+
+class OverdueNotices {
+    constructor(reportsDashboard) {
+        this.reportsDashboard = reportsDashboard;
+        this.borrowingSystem = reportsDashboard.borrowingSystem;
+        this.notices = LibraryStorage.get('noticeOutbox') || [];
+        this.loadSettings();
+
+        // Senders deliver a notice and resolve to {success, error}; more can be registered
+        this.senders = {};
+        this.registerSender('manual', {
+            label: 'Printed or exported by staff',
+            send: () => Promise.resolve({ success: true })
+        });
+        this.registerSender('mail-client', {
+            label: 'Mail client (mailto link)',
+            send: (notice) => {
+                window.open(this.toMailto(notice), '_blank');
+                return Promise.resolve({ success: true });
+            }
+        });
+        this.registerSender('local-mailbox', {
+            label: 'Local mailbox (testing)',
+            send: (notice) => {
+                const mailbox = JSON.parse(localStorage.getItem('noticeMailbox')) || [];
+                mailbox.push({ noticeId: notice.id, receivedAt: new Date().toISOString(), message: this.toEml(notice) });
+                localStorage.setItem('noticeMailbox', JSON.stringify(mailbox));
+                return Promise.resolve({ success: true });
+            }
+        });
+    }
+
+    /**
+     * Notice stages, in escalation order
+     */
+    static get STAGES() {
+        return ['courtesy', 'first', 'second', 'final'];
+    }
+
+    /**
+     * Display names for notice stages
+     */
+    static get STAGE_LABELS() {
+        return { courtesy: 'Courtesy', first: 'First Overdue', second: 'Second Overdue', final: 'Final / Billing' };
+    }
+
+    /**
+     * Default schedule and templates
+     * Placeholders: {{libraryName}} {{borrowerName}} {{cardNumber}} {{title}} {{author}} {{barcode}} {{dueDate}}
+     * {{daysUntilDue}} {{daysOverdue}} {{fine}} {{balance}} {{replacementCost}}
+     * @returns {object}
+     */
+    getDefaultSettings() {
+        return {
+            libraryName: 'Library',
+            fromAddress: 'library@example.org',
+            courtesyDays: 2, // Days before the due date; 0 turns courtesy notices off
+            firstDays: 1, // Days overdue
+            secondDays: 14,
+            finalDays: 30,
+            templates: {
+                courtesy: {
+                    subject: 'Reminder: "{{title}}" is due {{dueDate}}',
+                    body: 'Dear {{borrowerName}},\n\nThis is a reminder that "{{title}}" by {{author}} is due back on {{dueDate}}. You can renew it at the desk if nobody is waiting for it.\n\n{{libraryName}}'
+                },
+                first: {
+                    subject: 'Overdue: "{{title}}"',
+                    body: 'Dear {{borrowerName}},\n\n"{{title}}" by {{author}} was due on {{dueDate}} and is now {{daysOverdue}} day(s) overdue. Fines so far: ${{fine}}.\n\nPlease return it as soon as possible.\n\n{{libraryName}}'
+                },
+                second: {
+                    subject: 'Second notice: "{{title}}" is overdue',
+                    body: 'Dear {{borrowerName}},\n\nWe have not yet received "{{title}}" (barcode {{barcode}}), due on {{dueDate}}. It is {{daysOverdue}} days overdue and fines of ${{fine}} have accrued.\n\nYour borrowing may be suspended until it is returned.\n\n{{libraryName}}'
+                },
+                final: {
+                    subject: 'Final notice and bill: "{{title}}"',
+                    body: 'Dear {{borrowerName}} (card {{cardNumber}}),\n\n"{{title}}" (barcode {{barcode}}) is {{daysOverdue}} days overdue. If it is not returned it will be declared lost and you will be billed the replacement cost of ${{replacementCost}} plus a processing fee.\n\nYou currently owe ${{balance}}, including overdue fines.\n\n{{libraryName}}'
+                }
+            }
+        };
+    }
+
+    /**
+     * Read notice settings from storage, using defaults for any not set
+     */
+    loadSettings() {
+        const stored = LibraryStorage.get('noticeSettings') || {};
+        const defaults = this.getDefaultSettings();
+        this.settings = {
+            ...defaults,
+            ...stored,
+            templates: { ...defaults.templates, ...(stored.templates || {}) }
+        };
+    }
+
+    /**
+     * Get notice settings
+     * @returns {object} - {libraryName, fromAddress, courtesyDays, firstDays, secondDays, finalDays, templates}
+     */
+    getSettings() {
+        return { ...this.settings, templates: { ...this.settings.templates } };
+    }
+
+    /**
+     * Update the schedule, sender details and templates
+     * @param {object} settings - Any of {libraryName, fromAddress, courtesyDays, firstDays, secondDays, finalDays, templates}
+     * @returns {object} - {success: boolean, settings: object, error: string}
+     */
+    updateSettings(settings) {
+        const next = { ...this.settings, ...settings, templates: { ...this.settings.templates, ...(settings.templates || {}) } };
+        const courtesyDays = parseInt(next.courtesyDays);
+        const firstDays = parseInt(next.firstDays);
+        const secondDays = parseInt(next.secondDays);
+        const finalDays = parseInt(next.finalDays);
+
+        if (!String(next.libraryName || '').trim()) {
+            return { success: false, error: 'Library name is required' };
+        }
+        if (next.fromAddress && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(next.fromAddress)) {
+            return { success: false, error: 'Sender address must be a valid email' };
+        }
+        if (isNaN(courtesyDays) || courtesyDays < 0 || courtesyDays > 14) {
+            return { success: false, error: 'Courtesy notice must be sent 0 to 14 days before the due date' };
+        }
+        if (isNaN(firstDays) || firstDays < 1 || isNaN(secondDays) || isNaN(finalDays) || finalDays > 365) {
+            return { success: false, error: 'Overdue notice days must be between 1 and 365' };
+        }
+        if (!(firstDays < secondDays && secondDays < finalDays)) {
+            return { success: false, error: 'Each overdue notice must come later than the one before it' };
+        }
+        for (const stage of OverdueNotices.STAGES) {
+            const template = next.templates[stage];
+            if (!template || !String(template.subject || '').trim() || !String(template.body || '').trim()) {
+                return { success: false, error: `The ${OverdueNotices.STAGE_LABELS[stage]} template needs a subject and body` };
+            }
+        }
+
+        this.settings = {
+            libraryName: String(next.libraryName).trim(),
+            fromAddress: String(next.fromAddress || '').trim(),
+            courtesyDays: courtesyDays,
+            firstDays: firstDays,
+            secondDays: secondDays,
+            finalDays: finalDays,
+            templates: next.templates
+        };
+        this.saveSettings();
+
+        return { success: true, settings: this.getSettings() };
+    }
+
+    /**
+     * Register a sender, e.g. an SMTP relay or a test stand-in
+     * @param {string} name - Sender name
+     * @param {object} sender - {label, send(notice) => Promise<{success, error}>}
+     * @returns {object} - {success: boolean, error: string}
+     */
+    registerSender(name, sender) {
+        if (!name || !sender || typeof sender.send !== 'function') {
+            return { success: false, error: 'A sender needs a name and a send(notice) function' };
+        }
+
+        this.senders[name] = { label: sender.label || name, send: sender.send };
+        return { success: true };
+    }
+
+    /**
+     * List registered senders
+     * @returns {array} - Array of {name, label}
+     */
+    getSenders() {
+        return Object.keys(this.senders).map(name => ({ name: name, label: this.senders[name].label }));
+    }
+
+    /**
+     * Work out which notice a loan is due for today
+     * @param {object} transaction - Active transaction
+     * @param {Date} now - Current time (optional)
+     * @returns {string|null} - Stage or null
+     */
+    getDueStage(transaction, now = new Date()) {
+        const msPerDay = 1000 * 60 * 60 * 24;
+        const dueDate = new Date(transaction.dueDate);
+
+        if (dueDate < now) {
+            const daysOverdue = Math.ceil((now - dueDate) / msPerDay);
+            if (daysOverdue >= this.settings.finalDays) return 'final';
+            if (daysOverdue >= this.settings.secondDays) return 'second';
+            if (daysOverdue >= this.settings.firstDays) return 'first';
+            return null;
+        }
+
+        const daysUntilDue = Math.ceil((dueDate - now) / msPerDay);
+        return this.settings.courtesyDays > 0 && daysUntilDue <= this.settings.courtesyDays ? 'courtesy' : null;
+    }
+
+    /**
+     * Queue every notice that is due and not already generated
+     * A loan that has skipped stages (e.g. notices were not run for a while) only gets the latest one.
+     * @param {string} createdBy - Username (optional)
+     * @returns {object} - {success: boolean, notices: array}
+     */
+    generateNotices(createdBy = null) {
+        const now = new Date();
+        const overdue = this.reportsDashboard.getOverdueReport();
+        const overdueIds = new Set(overdue.map(item => item.transaction.id));
+        const dueSoon = this.borrowingSystem.getActiveLoans()
+            .filter(t => !overdueIds.has(t.id))
+            .map(transaction => ({
+                transaction: transaction,
+                book: this.reportsDashboard.books.find(b => b.id === transaction.bookId),
+                borrower: this.borrowingSystem.getBorrower(transaction.borrowerId),
+                dueDate: new Date(transaction.dueDate),
+                daysOverdue: 0,
+                fine: 0
+            }));
+
+        const created = [];
+        [...overdue, ...dueSoon].forEach(item => {
+            const stage = this.getDueStage(item.transaction, now);
+            if (!stage || !item.borrower || this.hasNotice(item.transaction.id, stage)) return;
+
+            created.push(this.createNotice(stage, item, now, createdBy));
+        });
+
+        if (created.length > 0) this.saveNotices();
+        return { success: true, notices: created };
+    }
+
+    /**
+     * Check whether a loan already has a notice at this stage or a later one
+     * @param {string} transactionId - Transaction ID
+     * @param {string} stage - Stage
+     * @returns {boolean}
+     */
+    hasNotice(transactionId, stage) {
+        const level = OverdueNotices.STAGES.indexOf(stage);
+        return this.notices.some(n =>
+            n.transactionId === transactionId && n.status !== 'Cancelled' && OverdueNotices.STAGES.indexOf(n.stage) >= level
+        );
+    }
+
+    /**
+     * Build a queued notice from an overdue report row
+     * @param {string} stage - Stage
+     * @param {object} item - {transaction, book, borrower, dueDate, daysOverdue, fine}
+     * @param {Date} now - Current time
+     * @param {string} createdBy - Username
+     * @returns {object} - Notice
+     */
+    createNotice(stage, item, now, createdBy) {
+        const { transaction, book, borrower } = item;
+        const price = book && book.price !== null && book.price !== undefined ? book.price : this.borrowingSystem.defaultReplacementCost;
+        const values = {
+            libraryName: this.settings.libraryName,
+            borrowerName: borrower.name,
+            cardNumber: borrower.cardNumber || '',
+            title: book ? book.title : 'Unknown book',
+            author: book ? book.author : '',
+            barcode: transaction.barcode || '',
+            dueDate: item.dueDate.toLocaleDateString(),
+            daysUntilDue: Math.max(0, Math.ceil((item.dueDate - now) / (1000 * 60 * 60 * 24))),
+            daysOverdue: item.daysOverdue,
+            fine: item.fine.toFixed(2),
+            balance: this.borrowingSystem.getOutstandingFines(borrower.id).toFixed(2),
+            replacementCost: price.toFixed(2)
+        };
+        const template = this.settings.templates[stage];
+
+        const notice = {
+            id: Date.now().toString() + Math.random().toString(36).slice(2, 6),
+            stage: stage,
+            transactionId: transaction.id,
+            borrowerId: borrower.id,
+            bookId: transaction.bookId,
+            borrowerName: borrower.name,
+            to: borrower.email || '',
+            address: borrower.address || '',
+            subject: this.render(template.subject, values),
+            body: this.render(template.body, values),
+            status: 'Queued',
+            createdAt: now.toISOString(),
+            createdBy: createdBy,
+            sentAt: null,
+            sentVia: null,
+            sentBy: null,
+            error: null
+        };
+        this.notices.push(notice);
+        return notice;
+    }
+
+    /**
+     * Fill {{placeholders}} in a template; unknown placeholders are left as they are
+     * @param {string} template - Template text
+     * @param {object} values - Placeholder values
+     * @returns {string}
+     */
+    render(template, values) {
+        return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+            values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+        );
+    }
+
+    /**
+     * Deliver a queued notice through a sender
+     * @param {string} noticeId - Notice ID
+     * @param {string} senderName - Registered sender name
+     * @param {string} sentBy - Username (optional)
+     * @returns {Promise<object>} - {success: boolean, notice: object, error: string}
+     */
+    async sendNotice(noticeId, senderName, sentBy = null) {
+        const notice = this.getNotice(noticeId);
+        if (!notice) {
+            return { success: false, error: 'Notice not found' };
+        }
+        if (notice.status === 'Sent' || notice.status === 'Cancelled') {
+            return { success: false, error: `Notice is already ${notice.status.toLowerCase()}` };
+        }
+        const sender = this.senders[senderName];
+        if (!sender) {
+            return { success: false, error: `Unknown sender: ${senderName}` };
+        }
+        if (senderName !== 'manual' && !notice.to) {
+            return { success: false, error: `${notice.borrowerName} has no email address; print a letter instead` };
+        }
+
+        let result;
+        try {
+            result = await sender.send({ ...notice, from: this.settings.fromAddress });
+        } catch (e) {
+            result = { success: false, error: e.message };
+        }
+
+        if (result && result.success) {
+            Object.assign(notice, { status: 'Sent', sentAt: new Date().toISOString(), sentVia: senderName, sentBy: sentBy, error: null });
+        } else {
+            Object.assign(notice, { status: 'Failed', error: (result && result.error) || 'Sender reported a failure' });
+        }
+        this.saveNotices();
+
+        return notice.status === 'Sent'
+            ? { success: true, notice: notice }
+            : { success: false, notice: notice, error: notice.error };
+    }
+
+    /**
+     * Deliver every queued or failed notice through a sender, one at a time
+     * @param {string} senderName - Registered sender name
+     * @param {string} sentBy - Username (optional)
+     * @param {array} noticeIds - Limit to these notices (optional)
+     * @returns {Promise<object>} - {sent: array, failed: array of {notice, error}}
+     */
+    async sendPending(senderName, sentBy = null, noticeIds = null) {
+        const pending = this.getOutbox()
+            .filter(n => n.status === 'Queued' || n.status === 'Failed')
+            .filter(n => !noticeIds || noticeIds.includes(n.id));
+        const sent = [];
+        const failed = [];
+
+        for (const notice of pending) {
+            const result = await this.sendNotice(notice.id, senderName, sentBy);
+            if (result.success) sent.push(result.notice);
+            else failed.push({ notice: notice, error: result.error });
+        }
+
+        return { sent: sent, failed: failed };
+    }
+
+    /**
+     * Cancel a notice that has not been sent; the loan can be given a fresh one later
+     * @param {string} noticeId - Notice ID
+     * @returns {object} - {success: boolean, notice: object, error: string}
+     */
+    cancelNotice(noticeId) {
+        const notice = this.getNotice(noticeId);
+        if (!notice) {
+            return { success: false, error: 'Notice not found' };
+        }
+        if (notice.status === 'Sent') {
+            return { success: false, error: 'A sent notice cannot be cancelled' };
+        }
+
+        notice.status = 'Cancelled';
+        this.saveNotices();
+
+        return { success: true, notice: notice };
+    }
+
+    /**
+     * Format a notice as an RFC 822 message for saving as a .eml file
+     * @param {object} notice - Notice
+     * @returns {string}
+     */
+    toEml(notice) {
+        const headers = [
+            `From: ${this.settings.libraryName} <${this.settings.fromAddress}>`,
+            `To: ${notice.borrowerName} <${notice.to}>`,
+            `Subject: ${notice.subject}`,
+            `Date: ${new Date(notice.sentAt || notice.createdAt).toUTCString()}`,
+            `X-Library-Notice: ${notice.id}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+        return headers.join('\r\n') + '\r\n\r\n' + notice.body.replace(/\r?\n/g, '\r\n') + '\r\n';
+    }
+
+    /**
+     * Build a mailto: link that opens the notice in the staff member's mail client
+     * @param {object} notice - Notice
+     * @returns {string}
+     */
+    toMailto(notice) {
+        return `mailto:${encodeURIComponent(notice.to)}?subject=${encodeURIComponent(notice.subject)}&body=${encodeURIComponent(notice.body)}`;
+    }
+
+    /**
+     * Get a notice by ID
+     * @param {string} noticeId - Notice ID
+     * @returns {object|null}
+     */
+    getNotice(noticeId) {
+        return this.notices.find(n => n.id === noticeId) || null;
+    }
+
+    /**
+     * Get the outbox, newest first
+     * @param {string} status - 'Queued', 'Sent', 'Failed' or 'Cancelled' (optional)
+     * @returns {array} - Array of notices
+     */
+    getOutbox(status = null) {
+        return this.notices
+            .filter(n => !status || n.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Get the notices generated for a loan, oldest first
+     * @param {string} transactionId - Transaction ID
+     * @returns {array} - Array of notices
+     */
+    getNoticesForTransaction(transactionId) {
+        return this.notices
+            .filter(n => n.transactionId === transactionId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Save outbox to storage
+     */
+    saveNotices() {
+        LibraryStorage.set('noticeOutbox', this.notices);
+    }
+
+    /**
+     * Save settings to storage
+     */
+    saveSettings() {
+        LibraryStorage.set('noticeSettings', this.settings);
+    }
+}
@@ -0,0 +1,415 @@
+/**
+ * QR Code Generator (ISO/IEC 18004)
+ * Encodes short text such as otpauth:// URIs as a QR symbol, drawn as SVG, so authenticator
+ * apps can enrol by scanning instead of typing the setup key.
+ * Byte mode with medium error correction, versions 1-10 (up to 213 bytes).
+ */
+
+class QRCode {
+    /**
+     * Error correction layout per version at level M:
+     * [EC codewords per block, blocks in group 1, data codewords per group 1 block, blocks in group 2, data codewords per group 2 block]
+     */
+    static get BLOCKS() {
+        return [
+            null,
+            [10, 1, 16, 0, 0],
+            [16, 1, 28, 0, 0],
+            [26, 1, 44, 0, 0],
+            [18, 2, 32, 0, 0],
+            [24, 2, 43, 0, 0],
+            [16, 4, 27, 0, 0],
+            [18, 4, 31, 0, 0],
+            [22, 2, 38, 2, 39],
+            [22, 3, 36, 2, 37],
+            [26, 4, 43, 1, 44]
+        ];
+    }
+
+    /**
+     * Alignment pattern centres per version
+     */
+    static get ALIGNMENT() {
+        return [
+            null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+            [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+        ];
+    }
+
+    /**
+     * Encode text as a module matrix
+     * @param {string} text - Text to encode (UTF-8)
+     * @returns {array} - Rows of booleans, true for dark modules
+     */
+    static encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        let version = 1;
+        while (version <= 10 && bytes.length > this.capacity(version)) version++;
+        if (version > 10) {
+            throw new Error('Text is too long for a QR code');
+        }
+
+        const codewords = this.addErrorCorrection(this.encodeData(bytes, version), version);
+        const size = version * 4 + 17;
+        const symbol = {
+            size: size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+
+        this.drawFunctionPatterns(symbol, version);
+        this.drawCodewords(symbol, codewords);
+
+        // Pick the mask that leaves the fewest patterns a scanner could misread
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(symbol, mask);
+            this.drawFormatBits(symbol, mask);
+            const penalty = this.penalty(symbol.modules);
+            if (!best || penalty < best.penalty) {
+                best = { mask: mask, penalty: penalty };
+            }
+            this.applyMask(symbol, mask); // Masking is its own inverse
+        }
+        this.applyMask(symbol, best.mask);
+        this.drawFormatBits(symbol, best.mask);
+
+        return symbol.modules;
+    }
+
+    /**
+     * Render text as an SVG QR code
+     * @param {string} text - Text to encode
+     * @param {number} scale - Pixels per module (default: 4)
+     * @returns {string} - SVG markup
+     */
+    static toSvg(text, scale = 4) {
+        const modules = this.encode(text);
+        const border = 4; // Quiet zone required around the symbol
+        const size = modules.length + border * 2;
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * scale}" height="${size * scale}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    /**
+     * Bytes that fit in a version
+     * @param {number} version - Version 1-10
+     * @returns {number}
+     */
+    static capacity(version) {
+        const [, blocks1, data1, blocks2, data2] = this.BLOCKS[version];
+        const dataBits = (blocks1 * data1 + blocks2 * data2) * 8;
+        return Math.floor((dataBits - 4 - this.countBits(version)) / 8);
+    }
+
+    /**
+     * Length of the byte-mode character count field
+     * @param {number} version - Version
+     * @returns {number}
+     */
+    static countBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+
+    /**
+     * Build the data codewords: mode, length, bytes, terminator and padding
+     * @param {array} bytes - Bytes to encode
+     * @param {number} version - Version
+     * @returns {array} - Data codewords
+     */
+    static encodeData(bytes, version) {
+        const [, blocks1, data1, blocks2, data2] = this.BLOCKS[version];
+        const capacityBits = (blocks1 * data1 + blocks2 * data2) * 8;
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4); // Byte mode
+        append(bytes.length, this.countBits(version));
+        bytes.forEach(b => append(b, 8));
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((value, bit) => (value << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    /**
+     * Split data into blocks, add Reed-Solomon codewords and interleave
+     * @param {array} data - Data codewords
+     * @param {number} version - Version
+     * @returns {array} - Final codeword sequence
+     */
+    static addErrorCorrection(data, version) {
+        const [ecLength, blocks1, data1, blocks2, data2] = this.BLOCKS[version];
+        const divisor = this.reedSolomonDivisor(ecLength);
+        const blocks = [];
+        let offset = 0;
+        for (let i = 0; i < blocks1 + blocks2; i++) {
+            const length = i < blocks1 ? data1 : data2;
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: block, ec: this.reedSolomonRemainder(block, divisor) });
+        }
+
+        const result = [];
+        const longest = Math.max(data1, data2);
+        for (let i = 0; i < longest; i++) {
+            blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    }
+
+    /**
+     * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Reed-Solomon generator polynomial coefficients (leading term omitted)
+     * @param {number} degree - Number of EC codewords
+     * @returns {array}
+     */
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * Reed-Solomon EC codewords for a block
+     * @param {array} data - Data codewords
+     * @param {array} divisor - Generator polynomial
+     * @returns {array}
+     */
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => { result[i] ^= this.multiply(coefficient, factor); });
+        });
+        return result;
+    }
+
+    /**
+     * Set a function module and reserve it from data placement
+     * @param {object} symbol - Symbol under construction
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {boolean} dark
+     */
+    static setFunction(symbol, x, y, dark) {
+        symbol.modules[y][x] = dark;
+        symbol.reserved[y][x] = true;
+    }
+
+    /**
+     * Draw finder, timing and alignment patterns and reserve the format and version areas
+     * @param {object} symbol - Symbol under construction
+     * @param {number} version - Version
+     */
+    static drawFunctionPatterns(symbol, version) {
+        const size = symbol.size;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(symbol, 6, i, i % 2 === 0);
+            this.setFunction(symbol, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(symbol, x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = this.ALIGNMENT[version];
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                // Skip the three corners occupied by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(symbol, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(symbol, 0); // Reserves the area; redrawn once the mask is chosen
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunction(symbol, a, b, dark);
+                this.setFunction(symbol, b, a, dark);
+            }
+        }
+    }
+
+    /**
+     * Draw both copies of the format information (error correction level M and the mask)
+     * @param {object} symbol - Symbol under construction
+     * @param {number} mask - Mask pattern 0-7
+     */
+    static drawFormatBits(symbol, mask) {
+        const size = symbol.size;
+        const data = mask; // Level M is 00
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(symbol, 8, i, bit(i));
+        this.setFunction(symbol, 8, 7, bit(6));
+        this.setFunction(symbol, 8, 8, bit(7));
+        this.setFunction(symbol, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(symbol, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(symbol, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(symbol, 8, size - 15 + i, bit(i));
+        this.setFunction(symbol, 8, size - 8, true); // Always-dark module
+    }
+
+    /**
+     * Place codewords in the zigzag order, skipping function modules
+     * @param {object} symbol - Symbol under construction
+     * @param {array} codewords - Codewords
+     */
+    static drawCodewords(symbol, codewords) {
+        const size = symbol.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // The vertical timing pattern takes a whole column
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (symbol.reserved[y][x] || i >= codewords.length * 8) continue;
+                    symbol.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Toggle data modules with a mask pattern
+     * @param {object} symbol - Symbol under construction
+     * @param {number} mask - Mask pattern 0-7
+     */
+    static applyMask(symbol, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        for (let y = 0; y < symbol.size; y++) {
+            for (let x = 0; x < symbol.size; x++) {
+                if (!symbol.reserved[y][x] && patterns[mask](x, y)) {
+                    symbol.modules[y][x] = !symbol.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Score a symbol by the standard's penalty rules (lower is better)
+     * @param {array} modules - Module matrix
+     * @returns {number}
+     */
+    static penalty(modules) {
+        const size = modules.length;
+        const columns = modules.map((row, x) => modules.map(r => r[x]));
+        let score = 0;
+
+        [...modules, ...columns].forEach(line => {
+            // Runs of five or more modules of one colour
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            // Patterns that look like a finder
+            const text = line.map(dark => dark ? '1' : '0').join('');
+            for (let i = 0; i + 11 <= size; i++) {
+                const window = text.substr(i, 11);
+                if (window === '10111010000' || window === '00001011101') score += 40;
+            }
+        });
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const colour = modules[y][x];
+                if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        score += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+
+        return score;
+    }
+}
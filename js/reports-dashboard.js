@@ -13,39 +13,24 @@ class ReportsDashboard {
     /**
      * Get overall library statistics
      * @returns {object} - Statistics object
+     *   `totalFines` is {assessed, paid, waived, outstanding, accruing}; accruing covers unreturned overdue loans
      */
     getLibraryStats() {
+        const copies = Catalog.countCopies(this.books);
         const stats = {
             totalBooks: this.books.length,
-            availableBooks: 0,
-            borrowedBooks: 0,
-            reservedBooks: 0,
-            lostBooks: 0,
+            totalCopies: copies.total,
+            availableBooks: copies.Available,
+            borrowedBooks: copies.Borrowed,
+            reservedBooks: copies.Reserved,
+            lostBooks: copies.Lost,
             totalBorrowers: this.borrowingSystem.getAllBorrowers().length,
             activeLoans: 0,
             overdueLoans: 0,
             totalTransactions: this.borrowingSystem.transactions.length,
-            totalFines: 0
+            totalFines: { assessed: 0, paid: 0, waived: 0, outstanding: 0, accruing: 0 }
         };
 
-        // Count books by status
-        this.books.forEach(book => {
-            switch (book.status) {
-                case 'Available':
-                    stats.availableBooks++;
-                    break;
-                case 'Borrowed':
-                    stats.borrowedBooks++;
-                    break;
-                case 'Reserved':
-                    stats.reservedBooks++;
-                    break;
-                case 'Lost':
-                    stats.lostBooks++;
-                    break;
-            }
-        });
-
         // Count active and overdue loans
         const activeTransactions = this.borrowingSystem.transactions.filter(t => t.status === 'Active');
         stats.activeLoans = activeTransactions.length;
@@ -53,9 +38,10 @@ class ReportsDashboard {
         const overdue = this.borrowingSystem.getOverdueBooks();
         stats.overdueLoans = overdue.length;
 
-        // Calculate total fines
+        // Ledger totals, plus fines still accruing on loans not yet returned
+        stats.totalFines = { ...this.borrowingSystem.fineLedger.getTotals(), accruing: 0 };
         overdue.forEach(transaction => {
-            stats.totalFines += this.borrowingSystem.calculateFine(transaction.id);
+            stats.totalFines.accruing += this.borrowingSystem.calculateFine(transaction.id);
         });
 
         return stats;
@@ -198,10 +184,90 @@ class ReportsDashboard {
             action: log.action,
             entityType: log.entityType,
             timestamp: log.timestamp,
-            details: log.details
+            details: log.details,
+            userId: log.userId || null,
+            user: this.auditLogger.getActorLabel(log)
         }));
     }
 
+    /**
+     * Get security report for authentication and user-administration events
+     * @param {number} days - Reporting period in days (default: 30)
+     * @param {number} burstThreshold - Failed logins for one username that count as a burst (default: 3)
+     * @param {number} burstWindow - Maximum length of a burst in milliseconds (default: 15 minutes)
+     * @returns {object} - {period, successfulLogins, failedLogins, blockedLogins, failedLoginBursts, lockouts, privilegeChanges}
+     */
+    getSecurityReport(days = 30, burstThreshold = 3, burstWindow = 15 * 60 * 1000) {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+        const logs = this.auditLogger.getLogs({ startDate: startDate.toISOString() });
+        const usernameOf = (log) => ((log.details && log.details.username) || log.entityId || 'unknown').toLowerCase();
+
+        // Group failed logins per username into bursts
+        const failedLogins = logs.filter(log => log.action === 'LOGIN_FAILED');
+        const failedByUser = {};
+        failedLogins.forEach(log => {
+            const username = usernameOf(log);
+            if (!failedByUser[username]) failedByUser[username] = [];
+            failedByUser[username].push(new Date(log.timestamp).getTime());
+        });
+
+        const failedLoginBursts = [];
+        Object.keys(failedByUser).forEach(username => {
+            const times = failedByUser[username].sort((a, b) => a - b);
+            let burst = null;
+            times.forEach(time => {
+                if (!burst || time - burst.start > burstWindow) {
+                    if (burst && burst.count >= burstThreshold) failedLoginBursts.push(burst);
+                    burst = { username: username, start: time, end: time, count: 0 };
+                }
+                burst.end = time;
+                burst.count++;
+            });
+            if (burst && burst.count >= burstThreshold) failedLoginBursts.push(burst);
+        });
+
+        const lockouts = logs
+            .filter(log => log.action === 'LOCKOUT')
+            .map(log => ({
+                username: usernameOf(log),
+                timestamp: log.timestamp,
+                attempts: log.details ? log.details.attempts : null
+            }));
+
+        // Role assignments, new accounts with roles and role-matrix edits
+        const privilegeChanges = logs
+            .filter(log =>
+                (log.entityType === 'USER' && log.details && log.details.role !== undefined) ||
+                log.entityType === 'ROLE'
+            )
+            .map(log => ({
+                timestamp: log.timestamp,
+                action: log.action,
+                entityType: log.entityType,
+                entityId: log.entityId,
+                actor: this.auditLogger.getActorLabel(log),
+                details: log.details
+            }));
+
+        return {
+            period: { days: days, startDate: startDate.toISOString(), endDate: new Date().toISOString() },
+            successfulLogins: logs.filter(log => log.action === 'LOGIN').length,
+            failedLogins: failedLogins.length,
+            blockedLogins: logs.filter(log => log.action === 'LOGIN_BLOCKED').length,
+            failedLoginBursts: failedLoginBursts
+                .map(burst => ({
+                    username: burst.username,
+                    count: burst.count,
+                    start: new Date(burst.start).toISOString(),
+                    end: new Date(burst.end).toISOString()
+                }))
+                .sort((a, b) => new Date(b.start) - new Date(a.start)),
+            lockouts: lockouts,
+            privilegeChanges: privilegeChanges
+        };
+    }
+
     /**
      * Get overdue report
      * @returns {array} - Array of overdue books with details
@@ -227,6 +293,38 @@ class ReportsDashboard {
         }).sort((a, b) => b.daysOverdue - a.daysOverdue);
     }
 
+    /**
+     * Get lost and damaged items, newest first
+     * @returns {object} - {items: array, totals: {lost, found, damaged, charged, refunded}}
+     */
+    getLostDamagedReport() {
+        const items = this.borrowingSystem.transactions
+            .filter(t => t.lost || t.damage)
+            .map(transaction => {
+                const lost = transaction.lost;
+                return {
+                    transaction: transaction,
+                    book: this.books.find(b => b.id === transaction.bookId),
+                    borrower: this.borrowingSystem.getBorrower(transaction.borrowerId),
+                    type: lost ? (lost.foundAt ? 'Found' : 'Lost') : 'Damaged',
+                    date: new Date(lost ? lost.declaredAt : transaction.damage.reportedAt),
+                    charged: lost ? lost.replacementCost + lost.processingFee : transaction.damage.charge,
+                    refunded: lost ? lost.refunded : 0,
+                    notes: transaction.damage ? `${transaction.damage.condition}: ${transaction.damage.notes}` : ''
+                };
+            })
+            .sort((a, b) => b.date - a.date);
+
+        const totals = { lost: 0, found: 0, damaged: 0, charged: 0, refunded: 0 };
+        items.forEach(item => {
+            totals[item.type.toLowerCase()]++;
+            totals.charged += item.charged;
+            totals.refunded += item.refunded;
+        });
+
+        return { items: items, totals: totals };
+    }
+
     /**
      * Generate comprehensive report
      * @returns {object} - Complete report object
@@ -245,6 +343,7 @@ class ReportsDashboard {
             genreDistribution: this.getGenreDistribution(),
             borrowerActivity: this.getBorrowerActivity(10),
             overdueReport: this.getOverdueReport(),
+            lostDamagedReport: this.getLostDamagedReport(),
             recentActivity: this.getRecentActivity(20)
         };
     }
@@ -269,13 +368,15 @@ class ReportsDashboard {
 
         switch (reportType) {
             case 'books':
-                headers = ['Title', 'Author', 'ISBN', 'Genre', 'Status', 'Location', 'Date Added'];
+                headers = ['Title', 'Author', 'ISBN', 'Genre', 'Status', 'Copies', 'Available', 'Location', 'Date Added'];
                 data = this.books.map(book => [
                     book.title,
                     book.author,
                     book.isbn || '',
                     book.genre || '',
                     book.status,
+                    Catalog.getAvailability(book).total,
+                    Catalog.getAvailability(book).available,
                     book.location || '',
                     new Date(book.dateAdded).toLocaleDateString()
                 ]);
@@ -322,6 +423,20 @@ class ReportsDashboard {
                     item.fine.toFixed(2)
                 ]);
                 break;
+
+            case 'lost-damaged':
+                headers = ['Date', 'Type', 'Book', 'Barcode', 'Borrower', 'Charged', 'Refunded', 'Notes'];
+                data = this.getLostDamagedReport().items.map(item => [
+                    item.date.toLocaleDateString(),
+                    item.type,
+                    item.book ? item.book.title : 'Unknown',
+                    item.transaction.barcode || '',
+                    item.borrower ? item.borrower.name : 'Unknown',
+                    item.charged.toFixed(2),
+                    item.refunded.toFixed(2),
+                    item.notes
+                ]);
+                break;
         }
 
         // Generate CSV
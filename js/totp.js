@@ -0,0 +1,161 @@
+/**
+ * Time-based One-Time Password Utilities (RFC 6238)
+ * Computes and verifies authenticator codes locally with WebCrypto HMAC
+ */
+
+class TOTP {
+    /**
+     * Base32 alphabet (RFC 4648)
+     */
+    static get ALPHABET() {
+        return 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    }
+
+    /**
+     * Generate a random base32 secret
+     * @param {number} byteLength - Secret length in bytes (default: 20, i.e. 160 bits)
+     * @returns {string} - Base32-encoded secret
+     */
+    static generateSecret(byteLength = 20) {
+        return this.base32Encode(crypto.getRandomValues(new Uint8Array(byteLength)));
+    }
+
+    /**
+     * Encode bytes as base32 (without padding)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string}
+     */
+    static base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (let i = 0; i < bytes.length; i++) {
+            value = (value << 8) | bytes[i];
+            bits += 8;
+            while (bits >= 5) {
+                output += this.ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += this.ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode a base32 string (spaces, dashes and padding are ignored)
+     * @param {string} input - Base32 string
+     * @returns {Uint8Array}
+     */
+    static base32Decode(input) {
+        const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (let i = 0; i < clean.length; i++) {
+            const index = this.ALPHABET.indexOf(clean[i]);
+            if (index === -1) {
+                throw new Error('Invalid base32 character: ' + clean[i]);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Compute the HOTP value for a counter (RFC 4226)
+     * @param {string} secret - Base32 secret
+     * @param {number} counter - Moving factor
+     * @param {number} digits - Code length (default: 6)
+     * @returns {Promise<string>} - Zero-padded code
+     */
+    static async generateHOTP(secret, counter, digits = 6) {
+        const key = await crypto.subtle.importKey(
+            'raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
+        );
+
+        // 8-byte big-endian counter
+        const message = new Uint8Array(8);
+        let remaining = counter;
+        for (let i = 7; i >= 0; i--) {
+            message[i] = remaining & 255;
+            remaining = Math.floor(remaining / 256);
+        }
+
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+        const offset = hmac[hmac.length - 1] & 15;
+        const binary = ((hmac[offset] & 127) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return (binary % Math.pow(10, digits)).toString().padStart(digits, '0');
+    }
+
+    /**
+     * Get the time step for a timestamp
+     * @param {number} timestamp - Milliseconds since epoch
+     * @param {number} period - Step length in seconds (default: 30)
+     * @returns {number}
+     */
+    static getTimeStep(timestamp = Date.now(), period = 30) {
+        return Math.floor(timestamp / 1000 / period);
+    }
+
+    /**
+     * Compute the TOTP code for a timestamp
+     * @param {string} secret - Base32 secret
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {Promise<string>}
+     */
+    static async generateCode(secret, timestamp = Date.now()) {
+        return this.generateHOTP(secret, this.getTimeStep(timestamp));
+    }
+
+    /**
+     * Verify a code, allowing for clock drift
+     * @param {string} secret - Base32 secret
+     * @param {string} code - Code entered by the user
+     * @param {number} timestamp - Milliseconds since epoch
+     * @param {number} window - Number of steps accepted either side (default: 1)
+     * @returns {Promise<number|null>} - Matching time step, or null if invalid
+     */
+    static async verify(secret, code, timestamp = Date.now(), window = 1) {
+        const cleanCode = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(cleanCode)) return null;
+
+        const currentStep = this.getTimeStep(timestamp);
+        for (let offset = -window; offset <= window; offset++) {
+            const step = currentStep + offset;
+            if (await this.generateHOTP(secret, step) === cleanCode) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build an otpauth:// provisioning URI for authenticator apps
+     * @param {string} secret - Base32 secret
+     * @param {string} accountName - Account label (e.g. username)
+     * @param {string} issuer - Issuer name
+     * @returns {string}
+     */
+    static getProvisioningURI(secret, accountName, issuer = 'Library System') {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const params = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`;
+        return `otpauth://totp/${label}?${params}`;
+    }
+}
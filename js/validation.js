@@ -123,6 +123,90 @@ class Validator {
         };
     }
 
+    /**
+     * Small built-in list of commonly used passwords
+     * @returns {array}
+     */
+    static get COMMON_PASSWORDS() {
+        return [
+            '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '000000',
+            '123123', '654321', '666666', '121212', '112233', '987654321', 'password',
+            'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'qwerty',
+            'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r',
+            'abc123', 'abcd1234', 'iloveyou', 'letmein', 'welcome', 'welcome1', 'monkey',
+            'dragon', 'sunshine', 'princess', 'football', 'baseball', 'master', 'shadow',
+            'superman', 'trustno1', 'admin', 'admin123', 'administrator', 'root', 'changeme',
+            'secret', 'library', 'library123', 'librarian', 'books', 'readbooks'
+        ];
+    }
+
+    /**
+     * Validate a password against a password policy
+     * @param {string} password - Candidate password
+     * @param {object} policy - {minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, disallowUsername, blockCommon}
+     * @param {string} username - Username the password belongs to (optional)
+     * @returns {object} - {valid: boolean, errors: array}
+     */
+    static validatePassword(password, policy, username = '') {
+        const errors = [];
+        const value = password || '';
+
+        if (value.length < policy.minLength) {
+            errors.push(`Password must be at least ${policy.minLength} characters`);
+        }
+        if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+            errors.push('Password must contain an uppercase letter');
+        }
+        if (policy.requireLowercase && !/[a-z]/.test(value)) {
+            errors.push('Password must contain a lowercase letter');
+        }
+        if (policy.requireNumber && !/\d/.test(value)) {
+            errors.push('Password must contain a number');
+        }
+        if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+            errors.push('Password must contain a symbol');
+        }
+        if (policy.disallowUsername && username && value.toLowerCase().includes(username.trim().toLowerCase())) {
+            errors.push('Password must not contain the username');
+        }
+        if (policy.blockCommon && this.COMMON_PASSWORDS.includes(value.toLowerCase())) {
+            errors.push('Password is too common');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Estimate password strength
+     * @param {string} password - Password to score
+     * @returns {object} - {score: number (0-4), label: string}
+     */
+    static scorePassword(password) {
+        const labels = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+        const value = password || '';
+
+        if (!value || this.COMMON_PASSWORDS.includes(value.toLowerCase())) {
+            return { score: 0, label: labels[0] };
+        }
+
+        let points = 0;
+        if (value.length >= 8) points++;
+        if (value.length >= 12) points++;
+        if (value.length >= 16) points++;
+
+        const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(value)).length;
+        points += Math.max(0, classes - 1);
+
+        // Penalise long runs of one character
+        if (/(.)\1{2,}/.test(value)) points--;
+
+        const score = Math.max(0, Math.min(4, points));
+        return { score: score, label: labels[score] };
+    }
+
     /**
      * Check for duplicate ISBN
      * @param {string} isbn - ISBN to check